@@ -0,0 +1,59 @@
+const { msg, AppError, BadRequestError, NotFoundError } = require('../errors/AppError.js');
+
+const LANGUAGES = ['th', 'en'];
+
+// ภาษาของข้อความตาม Accept-Language (ค่าเริ่มต้นภาษาไทย)
+function language(req) {
+  return req.acceptsLanguages(...LANGUAGES) || LANGUAGES[0];
+}
+
+function localize(message, lang) {
+  return message && typeof message === 'object' ? message[lang] : message;
+}
+
+// error จาก express.json() หรือ error ที่ไม่ได้ตั้งใจ แปลงเป็น AppError โดยไม่ส่งรายละเอียดภายใน (เช่น SQL) ออกไป
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError(msg('รูปแบบ JSON ไม่ถูกต้อง', 'Malformed JSON body'), 'INVALID_JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError(413, 'PAYLOAD_TOO_LARGE', msg('ข้อมูลที่ส่งมีขนาดใหญ่เกินไป', 'Request body is too large'));
+  }
+  return null;
+}
+
+// ไม่มี route ไหนตรงกับคำขอ
+function notFound(req, res, next) {
+  next(new NotFoundError(msg('ไม่พบเส้นทางที่ร้องขอ', 'Route not found'), 'ROUTE_NOT_FOUND'));
+}
+
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  let error = toAppError(err);
+  if (!error) {
+    req.log.error('unhandled error', { method: req.method, url: req.originalUrl, err });
+    error = new AppError(500, 'INTERNAL_ERROR', msg('เกิดข้อผิดพลาดภายในเซิฟเวอร์', 'Internal server error'));
+  }
+
+  const lang = language(req);
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status).json({
+    success: false,
+    data: null,
+    error: {
+      code: error.code,
+      message: localize(error.localizedMessage, lang),
+      ...(error.details
+        ? { details: error.details.map((detail) => ({ ...detail, message: localize(detail.message, lang) })) }
+        : {}),
+    },
+  });
+}
+
+module.exports = { notFound, errorHandler };
@@ -1,41 +1,91 @@
-function keepLog(req, res, next) {
-    const date_ = new Date();
-    const data = {
-      time: date_.toLocaleTimeString(),
-      date: date_.toLocaleDateString(),
-    };
+const { executeQuery } = require("../database/initDatabase.js");
+const { verifyAccessToken } = require("../auth/token.js");
+const { UnauthorizedError, ForbiddenError } = require("../errors/AppError.js");
 
+/**
+ * * อ่าน Bearer token จาก header Authorization
+ * * คืนค่าผู้ใช้ (ไม่มี password) ถ้า token ถูกต้องและยังไม่ถูกเพิกถอน
+ */
+async function authenticate(req) {
+    const header = req.headers.authorization || "";
+    const [scheme, token] = header.split(" ");
+    if (scheme !== "Bearer" || !token) return null;
 
-    /**
-     * * ตรวจสอบเมธอด GET เเละ URL ที่เข้ามา
-     * * หากไม่มี userId ให้ส่ง status 400 กลับไป
-     */
-    if (req.method === "GET") {
-      if (req.originalUrl === "/api/auth/login") {
-        if (!req.body.userId){
-          res.status(400).json({status: "fail",message: "Data is not completed"});
-          return;
-        }
-        // else if(!req.body.userId === "admin"){
-        //   res.status(400).json({status: "Success",message: "Welcome Admin"});
-        //   return;
-        // }
-      }
-      
-    }else if (req.method === "POST") {
-      if (req.originalUrl === "/api/auth/register") {
-        // const { userId, info, target } = req.body;
-        // if (!userId || !info || !target) {
-        //   res.status(400).json({status: "fail",message: "Data is not complete"});
-        //   return;
-        // }
+    const claims = verifyAccessToken(token);
+    if (!claims) return null;
+
+    const [revoked] = await executeQuery("SELECT jti FROM revoked_tokens WHERE jti = ?", [claims.jti]);
+    if (revoked.length > 0) return null;
+
+    const [users] = await executeQuery("SELECT * FROM users WHERE id = ?", [claims.sub]);
+    if (users.length === 0) return null;
+
+    // token ที่ออกก่อนเปลี่ยนรหัสผ่านครั้งล่าสุดใช้ไม่ได้แล้ว
+    const user = users[0];
+    if ((claims.ver || 0) !== (user.token_version || 0)) return null;
+
+    delete user.password;
+    req.token = claims;
+    return user;
+}
+
+// ต้องเข้าสู่ระบบก่อน ผู้ใช้ที่ยืนยันตัวตนแล้วจะอยู่ใน req.user
+async function requireAuth(req, res, next) {
+    try {
+      const user = await authenticate(req);
+      if (!user) {
+        return next(new UnauthorizedError());
       }
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
     }
+}
 
+// ไม่บังคับเข้าสู่ระบบ แต่ถ้ามี token ที่ถูกต้องจะใส่ req.user ให้
+async function optionalAuth(req, res, next) {
+    try {
+      req.user = (await authenticate(req)) || null;
+      next();
+    } catch (error) {
+      next(error);
+    }
+}
 
-  console.log('\x1b[31m Log : ', data.time + " | " + data.date + " | " + req.method + " | " + req.originalUrl);  //cyan
-  next();
-};
+// ตั้งกระทู้/แสดงความคิดเห็น: ต้องเข้าสู่ระบบ เว้นแต่เปิด ALLOW_ANONYMOUS_POSTS=true
+function requirePostingAuth(req, res, next) {
+    if (process.env.ALLOW_ANONYMOUS_POSTS === "true") {
+      return optionalAuth(req, res, next);
+    }
+    return requireAuth(req, res, next);
+}
+
+// ใช้หลัง requireAuth สำหรับ route ที่มี :id เป็นของผู้ใช้เอง ผู้ใช้ที่มี role ตามที่กำหนดดูของทุกคนได้
+function requireSelfOrRole(...roles) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return next(new ForbiddenError());
+      }
+      if (String(req.user.id) !== String(req.params.id) && !roles.includes(req.user.role)) {
+        return next(new ForbiddenError());
+      }
+      next();
+    };
+}
+
+// ของผู้ใช้เอง (admin ดูของทุกคนได้)
+const requireSelf = requireSelfOrRole("admin");
+
+// ใช้หลัง requireAuth: อนุญาตเฉพาะผู้ใช้ที่มี role ตามที่กำหนด เช่น requireRole("admin")
+function requireRole(...roles) {
+    return (req, res, next) => {
+      if (!req.user || !roles.includes(req.user.role)) {
+        return next(new ForbiddenError());
+      }
+      next();
+    };
+}
 
 
-module.exports = { keepLog };
\ No newline at end of file
+module.exports = { requireAuth, optionalAuth, requirePostingAuth, requireSelf, requireSelfOrRole, requireRole };
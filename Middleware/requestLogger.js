@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { logger } = require('../logger/logger.js');
+
+// รับ X-Request-Id จาก proxy/frontend ได้ถ้ารูปแบบปลอดภัย ไม่อย่างนั้นสร้างใหม่
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * * ใส่ req.id และ req.log (logger ที่ผูก requestId ไว้) ให้ทุกคำขอ พร้อมตอบ header X-Request-Id
+ * * เมื่อตอบเสร็จจะเขียน log หนึ่งบรรทัด: method, url, status, latencyMs, userId และ ip
+ * * ใช้เป็น middleware ตัวแรกของแอป
+ */
+function createRequestLogger(baseLogger = logger) {
+  return (req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    req.log = baseLogger.child({ requestId: req.id });
+    res.setHeader('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+      req.log[level]('request completed', {
+        method: req.method,
+        url: req.originalUrl,
+        status: res.statusCode,
+        latencyMs: Math.round(latencyMs * 100) / 100,
+        userId: req.user ? req.user.id : null,
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null,
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = { createRequestLogger };
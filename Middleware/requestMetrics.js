@@ -0,0 +1,24 @@
+const { httpRequestsTotal, httpRequestDuration } = require('../metrics/metrics.js');
+
+// ใช้ path ของ route (เช่น /api/threads/:id) แทน URL จริง ไม่ให้จำนวน series เพิ่มตาม id
+function routeLabel(req, res) {
+  if (!req.route) return 'unmatched';
+  return `${res.locals.baseUrl ?? req.baseUrl}${req.route.path}`;
+}
+
+// นับจำนวนคำขอและเวลาที่ใช้ของแต่ละ route สำหรับ /metrics
+function requestMetrics(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const route = routeLabel(req, res);
+
+    httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route }, seconds);
+  });
+
+  next();
+}
+
+module.exports = { requestMetrics };
@@ -0,0 +1,53 @@
+const multer = require('multer');
+const { msg, AppError, BadRequestError } = require('../errors/AppError.js');
+const { ACCEPTED_FORMATS, imageFormat } = require('../storage/images.js');
+
+// ขนาดไฟล์สูงสุดที่รับ (ไบต์) ค่าเริ่มต้น 5 MB ไฟล์อยู่ในหน่วยความจำระหว่างย่อรูป
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+
+function toUploadError(err, field) {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    const mb = Math.round((UPLOAD_MAX_BYTES / 1024 / 1024) * 10) / 10;
+    return new AppError(413, 'FILE_TOO_LARGE', msg(`ไฟล์ต้องมีขนาดไม่เกิน ${mb} MB`, `File must be at most ${mb} MB`));
+  }
+  return new BadRequestError(
+    msg(`ส่งรูปได้หนึ่งไฟล์ในฟิลด์ ${field} เท่านั้น`, `Send a single file in the ${field} field`),
+    'INVALID_UPLOAD'
+  );
+}
+
+/**
+ * * รับรูปหนึ่งไฟล์แบบ multipart/form-data ในฟิลด์ field เก็บไว้ที่ req.file.buffer
+ * * ตรวจขนาดไฟล์และรูปแบบจากเนื้อไฟล์ (jpeg, png, webp, gif) ก่อนถึง handler
+ */
+function uploadImage(field = 'image') {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, async (err) => {
+      if (err) {
+        return next(err instanceof multer.MulterError ? toUploadError(err, field) : err);
+      }
+      if (!req.file) {
+        return next(new BadRequestError(
+          msg(`กรุณาแนบรูปในฟิลด์ ${field} (multipart/form-data)`, `An image is required in the ${field} field (multipart/form-data)`),
+          'FILE_REQUIRED'
+        ));
+      }
+      if (!(await imageFormat(req.file.buffer))) {
+        const formats = ACCEPTED_FORMATS.join(', ');
+        return next(new AppError(
+          415,
+          'UNSUPPORTED_FILE_TYPE',
+          msg(`รองรับเฉพาะรูป ${formats}`, `Only ${formats} images are supported`)
+        ));
+      }
+      next();
+    });
+  };
+}
+
+module.exports = { UPLOAD_MAX_BYTES, uploadImage };
@@ -0,0 +1,54 @@
+// ตรวจสอบ LIFF ID token กับ LINE Login (https://developers.line.biz/en/reference/line-login/#verify-id-token)
+const DEFAULT_ENDPOINT = 'https://api.line.me/oauth2/v2.1/verify';
+
+/**
+ * * สร้างฟังก์ชันตรวจสอบ ID token
+ * * endpoint เปลี่ยนเป็น stub ในเครื่องได้ผ่าน LINE_VERIFY_ENDPOINT
+ * * คืนค่า { sub, name, picture, email } ถ้า token ถูกต้อง หรือ null ถ้า LINE ปฏิเสธ
+ */
+function createLineVerifier({
+  channelId = process.env.LINE_CHANNEL_ID,
+  endpoint = process.env.LINE_VERIFY_ENDPOINT || DEFAULT_ENDPOINT,
+} = {}) {
+  return async (idToken) => {
+    if (!channelId) {
+      throw new Error('LINE_CHANNEL_ID environment variable is missing');
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ id_token: idToken, client_id: channelId }),
+    });
+
+    if (response.status === 400 || response.status === 401) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`LINE verify endpoint responded with ${response.status}`);
+    }
+
+    const claims = await response.json();
+    if (!claims.sub) return null;
+
+    return {
+      sub: claims.sub,
+      name: claims.name || null,
+      picture: claims.picture || null,
+      email: claims.email || null,
+    };
+  };
+}
+
+let verifier = createLineVerifier();
+
+// เปลี่ยนตัวตรวจสอบ เช่น ใช้ stub ตอนทดสอบ
+function setLineVerifier(fn) {
+  verifier = fn;
+}
+
+function verifyLineToken(idToken) {
+  return verifier(idToken);
+}
+
+module.exports = { createLineVerifier, setLineVerifier, verifyLineToken };
@@ -0,0 +1,34 @@
+const { executeQuery } = require('../database/initDatabase.js');
+const {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  signAccessToken,
+  createRefreshToken,
+  hashToken,
+} = require('./token.js');
+
+// ออก access token และ refresh token ใหม่ให้ผู้ใช้
+async function issueTokens(user) {
+  const refreshToken = createRefreshToken();
+
+  await executeQuery(
+    "INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))",
+    [user.id, hashToken(refreshToken), REFRESH_TOKEN_TTL]
+  );
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// เพิกถอน refresh token ทุกตัวของผู้ใช้ (ออกจากระบบทุกอุปกรณ์)
+async function revokeAllRefreshTokens(userId) {
+  await executeQuery(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+    [userId]
+  );
+}
+
+module.exports = { issueTokens, revokeAllRefreshTokens };
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { logger } = require('../logger/logger.js');
+
+// อายุของ token (วินาที) ปรับได้ผ่าน environment
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+const REFRESH_TOKEN_TTL = Number(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60;
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_SECRET environment variable is required in production');
+  }
+  // ใช้ secret ชั่วคราวตอนพัฒนา token ทั้งหมดจะใช้ไม่ได้เมื่อรีสตาร์ทเซิฟเวอร์
+  logger.warn('AUTH_SECRET is not set, using a random secret for this process');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * * สร้าง access token รูปแบบเดียวกับ JWT (HS256)
+ * * payload มี sub (user id), jti สำหรับเพิกถอน, ver (token_version ของผู้ใช้ตอนออก token) และ exp
+ */
+function signAccessToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: user.id,
+    email: user.email,
+    jti: crypto.randomUUID(),
+    ver: user.token_version || 0,
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL,
+  }));
+
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// คืนค่า payload ถ้า token ถูกต้องและยังไม่หมดอายุ ไม่เช่นนั้นคืน null
+function verifyAccessToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+// refresh token เป็นค่าสุ่ม เก็บในฐานข้อมูลเฉพาะ hash
+function createRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  signAccessToken,
+  verifyAccessToken,
+  createRefreshToken,
+  hashToken,
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { executeQuery } = require('../database/initDatabase.js');
+const { hashToken } = require('./token.js');
+
+// อายุของ token (วินาที) ปรับได้ผ่าน environment
+const PASSWORD_RESET_TTL = Number(process.env.PASSWORD_RESET_TTL) || 60 * 60;
+const EMAIL_VERIFICATION_TTL = Number(process.env.EMAIL_VERIFICATION_TTL) || 24 * 60 * 60;
+
+/**
+ * * ออก token ใช้ครั้งเดียวของ purpose ('password_reset' หรือ 'email_verification')
+ * * token เดิมของ purpose เดียวกันที่ยังไม่ได้ใช้ถูกยกเลิก คืนค่า token ที่ส่งให้ผู้ใช้ (ฐานข้อมูลเก็บแค่ hash)
+ */
+async function issueUserToken(userId, purpose, ttl) {
+  await executeQuery(
+    "UPDATE user_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL",
+    [userId, purpose]
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await executeQuery(
+    "INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))",
+    [userId, purpose, hashToken(token), ttl]
+  );
+  return token;
+}
+
+// ใช้ token คืน user_id หรือ null ถ้า token ไม่ถูกต้อง หมดอายุ หรือถูกใช้ไปแล้ว
+async function consumeUserToken(token, purpose) {
+  const [tokens] = await executeQuery(
+    "SELECT id, user_id FROM user_tokens WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()",
+    [hashToken(token), purpose]
+  );
+  if (tokens.length === 0) return null;
+
+  // เงื่อนไข used_at IS NULL กันไม่ให้สองคำขอที่มาพร้อมกันใช้ token เดียวกันได้ทั้งคู่
+  const [result] = await executeQuery(
+    "UPDATE user_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+    [tokens[0].id]
+  );
+  return result.affectedRows === 1 ? tokens[0].user_id : null;
+}
+
+module.exports = {
+  PASSWORD_RESET_TTL,
+  EMAIL_VERIFICATION_TTL,
+  issueUserToken,
+  consumeUserToken,
+};
@@ -0,0 +1,127 @@
+const bcrypt = require('bcrypt');
+const { executeQuery } = require("../database/initDatabase.js");
+const { issueTokens, revokeAllRefreshTokens } = require("../auth/session.js");
+const {
+  PASSWORD_RESET_TTL,
+  EMAIL_VERIFICATION_TTL,
+  issueUserToken,
+  consumeUserToken,
+} = require("../auth/userTokens.js");
+const { sendMail } = require("../mailer/mailer.js");
+const { msg, BadRequestError, ConflictError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+
+// ลิงก์ในอีเมลชี้ไปที่หน้าเว็บ (APP_URL) ซึ่งส่ง token ต่อมาที่ API
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const invalidToken = () => new BadRequestError(
+  msg("ลิงก์ไม่ถูกต้อง หมดอายุ หรือถูกใช้ไปแล้ว", "Invalid, expired or already used token"),
+  'INVALID_TOKEN'
+);
+
+// ส่งอีเมลยืนยันให้ผู้ใช้ (ใช้ตอนสมัครและตอนขอส่งใหม่)
+async function sendVerificationEmail(user) {
+  const token = await issueUserToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL);
+  await sendMail('emailVerification', user.email, {
+    link: `${APP_URL}/verify-email?token=${token}`,
+    expiresInHours: Math.round(EMAIL_VERIFICATION_TTL / 3600),
+  });
+}
+
+exports.sendVerificationEmail = sendVerificationEmail;
+
+// POST /api/password/forgot ตอบเหมือนกันเสมอไม่ว่าจะมีอีเมลนี้หรือไม่ เพื่อไม่ให้ใช้ตรวจว่าใครสมัครไว้
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const [users] = await executeQuery("SELECT id, email FROM users WHERE email = ?", [req.body.email]);
+
+  if (users.length > 0) {
+    try {
+      const token = await issueUserToken(users[0].id, 'password_reset', PASSWORD_RESET_TTL);
+      await sendMail('passwordReset', users[0].email, {
+        link: `${APP_URL}/reset-password?token=${token}`,
+        expiresInMinutes: Math.round(PASSWORD_RESET_TTL / 60),
+      });
+    } catch (err) {
+      req.log.error('password reset email failed', { err, userId: users[0].id });
+    }
+  }
+
+  sendSuccess(res);
+});
+
+// POST /api/password/reset ตั้งรหัสผ่านใหม่ด้วย token จากอีเมล ปลดล็อกบัญชีและออกจากระบบทุกอุปกรณ์
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const userId = await consumeUserToken(token, 'password_reset');
+  if (!userId) {
+    throw invalidToken();
+  }
+
+  // เปิดลิงก์จากอีเมลได้แปลว่าเป็นเจ้าของอีเมลจริง จึงถือว่ายืนยันอีเมลแล้วด้วย
+  const hashedPassword = await bcrypt.hash(password, 10);
+  await executeQuery(
+    `UPDATE users SET password = ?, failed_login_attempts = 0, locked_until = NULL,
+       email_verified_at = COALESCE(email_verified_at, NOW()), token_version = token_version + 1
+     WHERE id = ?`,
+    [hashedPassword, userId]
+  );
+  await revokeAllRefreshTokens(userId);
+
+  sendSuccess(res);
+});
+
+// POST /api/password/change ใช้หลัง requireAuth: อุปกรณ์อื่นถูกออกจากระบบ คืน token ชุดใหม่ให้อุปกรณ์ที่เปลี่ยน
+exports.changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const [users] = await executeQuery("SELECT password FROM users WHERE id = ?", [req.user.id]);
+  const currentHash = users.length > 0 ? users[0].password : null;
+
+  // บัญชีที่สมัครผ่าน LINE อย่างเดียวยังไม่มีรหัสผ่าน ต้องตั้งผ่านลืมรหัสผ่าน
+  if (!currentHash) {
+    throw new BadRequestError(
+      msg("บัญชีนี้ยังไม่มีรหัสผ่าน กรุณาใช้ลืมรหัสผ่านเพื่อตั้งรหัสผ่าน", "This account has no password yet, please use forgot password to set one"),
+      'NO_PASSWORD'
+    );
+  }
+
+  if (!(await bcrypt.compare(currentPassword, currentHash))) {
+    throw new BadRequestError(msg("รหัสผ่านปัจจุบันไม่ถูกต้อง", "Current password is incorrect"), 'INVALID_CURRENT_PASSWORD');
+  }
+
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+  await executeQuery(
+    "UPDATE users SET password = ?, token_version = token_version + 1 WHERE id = ?",
+    [hashedPassword, req.user.id]
+  );
+  await revokeAllRefreshTokens(req.user.id);
+
+  sendSuccess(res, await issueTokens({ ...req.user, token_version: (req.user.token_version || 0) + 1 }));
+});
+
+// POST /api/email/verify
+exports.verifyEmail = asyncHandler(async (req, res) => {
+  const userId = await consumeUserToken(req.body.token, 'email_verification');
+  if (!userId) {
+    throw invalidToken();
+  }
+
+  await executeQuery("UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?", [userId]);
+
+  sendSuccess(res);
+});
+
+// POST /api/email/verify/resend ใช้หลัง requireAuth
+exports.resendVerification = asyncHandler(async (req, res) => {
+  if (!req.user.email) {
+    throw new BadRequestError(msg("บัญชีนี้ไม่มีอีเมล", "This account has no email address"), 'NO_EMAIL');
+  }
+  if (req.user.email_verified_at) {
+    throw new ConflictError(msg("ยืนยันอีเมลแล้ว", "Email is already verified"), 'EMAIL_ALREADY_VERIFIED');
+  }
+
+  await sendVerificationEmail(req.user);
+
+  sendSuccess(res);
+});
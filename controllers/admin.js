@@ -0,0 +1,267 @@
+const { executeQuery } = require("../database/initDatabase.js");
+const { msg, BadRequestError, ConflictError, NotFoundError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+
+const ROLES = ['student', 'moderator', 'counselor', 'admin'];
+
+/**
+ * * สร้าง handler list / create / update / remove ของตารางที่ admin จัดการได้
+ * * fields คือคอลัมน์ที่แก้ไขได้ required คือคอลัมน์ที่ต้องมีตอนสร้าง
+ * * label คือชื่อที่ใช้ในข้อความ { th, en }
+ * * checkUpdate(id, body) ถ้ามี จะถูกเรียกก่อนแก้ไข ใช้ตรวจกับข้อมูลเดิมในฐานข้อมูล (โยน error เพื่อยกเลิก)
+ */
+function crudHandlers({ table, label, fields, required, checkUpdate }) {
+  const pick = (body) => fields.filter((field) => body[field] !== undefined);
+  const notFound = () => new NotFoundError(msg(`ไม่พบ${label.th}`, `${label.en} not found`));
+
+  // อ้างอิงถึงข้อมูลที่ไม่มีอยู่ (เช่น occupation_id) หรือซ้ำกับค่าที่ต้องไม่ซ้ำ (เช่น ชื่อทักษะ)
+  const writeError = (error) => {
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      throw new BadRequestError(msg("ข้อมูลที่อ้างอิงไม่มีอยู่ในระบบ", "Referenced record does not exist"), 'INVALID_REFERENCE');
+    }
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ConflictError(msg(`${label.th}นี้มีอยู่แล้ว`, `${label.en} already exists`));
+    }
+    throw error;
+  };
+
+  return {
+    list: asyncHandler(async (req, res) => {
+      const [results] = await executeQuery(`SELECT * FROM ${table} ORDER BY id`);
+      sendSuccess(res, results);
+    }),
+
+    create: asyncHandler(async (req, res) => {
+      const missing = required.filter((field) => req.body[field] === undefined || req.body[field] === '');
+      if (missing.length > 0) {
+        throw new BadRequestError(msg(`กรุณาระบุ: ${missing.join(', ')}`, `Missing required fields: ${missing.join(', ')}`));
+      }
+
+      const columns = pick(req.body);
+      const [result] = await executeQuery(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map((field) => req.body[field])
+      ).catch(writeError);
+
+      sendSuccess(res, { id: result.insertId }, 201);
+    }),
+
+    update: asyncHandler(async (req, res) => {
+      const columns = pick(req.body);
+      if (columns.length === 0) {
+        throw new BadRequestError(msg(`กรุณาระบุอย่างน้อยหนึ่งใน: ${fields.join(', ')}`, `Please provide at least one of: ${fields.join(', ')}`));
+      }
+      if (checkUpdate) {
+        await checkUpdate(req.params.id, req.body);
+      }
+
+      const [result] = await executeQuery(
+        `UPDATE ${table} SET ${columns.map((field) => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map((field) => req.body[field]), req.params.id]
+      ).catch(writeError);
+
+      if (result.affectedRows === 0) {
+        throw notFound();
+      }
+
+      sendSuccess(res);
+    }),
+
+    remove: asyncHandler(async (req, res) => {
+      try {
+        const [result] = await executeQuery(`DELETE FROM ${table} WHERE id = ?`, [req.params.id]);
+
+        if (result.affectedRows === 0) {
+          throw notFound();
+        }
+      } catch (error) {
+        // ยังมีข้อมูลอื่นอ้างอิงอยู่ เช่น คำถามของอาชีพ หรือผลแบบทดสอบ
+        if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+          throw new ConflictError(msg(`${label.th}นี้ยังถูกอ้างอิงโดยข้อมูลอื่น`, `${label.en} is still referenced by other records`));
+        }
+        throw error;
+      }
+
+      sendSuccess(res);
+    }),
+  };
+}
+
+exports.videos = crudHandlers({
+  table: 'videospath',
+  label: msg('วิดีโอ', 'Video'),
+  fields: ['video_title', 'video_path', 'description', 'image'],
+  required: ['video_title', 'video_path', 'description'],
+});
+
+/**
+ * * ส่ง salary_min หรือ salary_max มาค่าเดียว ต้องเทียบกับอีกค่าที่บันทึกไว้
+ * * ถ้าส่งมาทั้งคู่ validator ตรวจไปแล้ว
+ */
+async function checkSalaryRange(id, body) {
+  if ((body.salary_min === undefined) === (body.salary_max === undefined)) return;
+
+  const [occupations] = await executeQuery("SELECT salary_min, salary_max FROM occupation WHERE id = ?", [id]);
+  if (occupations.length === 0) return;
+
+  const min = body.salary_min !== undefined ? body.salary_min : occupations[0].salary_min;
+  const max = body.salary_max !== undefined ? body.salary_max : occupations[0].salary_max;
+  if (min !== null && max !== null && max < min) {
+    throw new BadRequestError(
+      msg(`salary_max (${max}) ต้องไม่น้อยกว่า salary_min (${min})`, `salary_max (${max}) must not be less than salary_min (${min})`),
+      'INVALID_SALARY_RANGE'
+    );
+  }
+}
+
+exports.occupations = crudHandlers({
+  table: 'occupation',
+  label: msg('อาชีพ', 'Occupation'),
+  fields: ['name', 'description', 'salary_min', 'salary_max'],
+  required: ['name'],
+  checkUpdate: checkSalaryRange,
+});
+
+exports.skills = crudHandlers({
+  table: 'skills',
+  label: msg('ทักษะ', 'Skill'),
+  fields: ['name', 'description'],
+  required: ['name'],
+});
+
+exports.educationPaths = crudHandlers({
+  table: 'education_paths',
+  label: msg('เส้นทางการศึกษา', 'Education path'),
+  fields: ['occupation_id', 'kind', 'title', 'description', 'sort_order'],
+  required: ['occupation_id', 'kind', 'title'],
+});
+
+exports.questions = crudHandlers({
+  table: 'question',
+  label: msg('คำถาม', 'Question'),
+  fields: ['question_type', 'question_text'],
+  required: ['question_type', 'question_text'],
+});
+
+// ผูกวิดีโอกับอาชีพ ถ้าผูกอยู่แล้วจะแก้ sort_order (POST /api/admin/occupations/:id/videos)
+exports.linkOccupationVideo = asyncHandler(async (req, res) => {
+  const { video_id, sort_order = 0 } = req.body;
+
+  try {
+    await executeQuery(
+      `INSERT INTO occupation_videos (occupation_id, video_id, sort_order) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE sort_order = VALUES(sort_order)`,
+      [req.params.id, video_id, sort_order]
+    );
+  } catch (error) {
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      throw new NotFoundError(msg("ไม่พบอาชีพหรือวิดีโอ", "Occupation or video not found"));
+    }
+    throw error;
+  }
+
+  sendSuccess(res);
+});
+
+// DELETE /api/admin/occupations/:id/videos/:videoId
+exports.unlinkOccupationVideo = asyncHandler(async (req, res) => {
+  const [result] = await executeQuery(
+    "DELETE FROM occupation_videos WHERE occupation_id = ? AND video_id = ?",
+    [req.params.id, req.params.videoId]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new NotFoundError(msg("วิดีโอนี้ไม่ได้ผูกกับอาชีพนี้", "Video is not linked to this occupation"));
+  }
+
+  sendSuccess(res);
+});
+
+// ผูกทักษะกับอาชีพ ถ้าผูกอยู่แล้วจะแก้ level และ sort_order (POST /api/admin/occupations/:id/skills)
+exports.linkOccupationSkill = asyncHandler(async (req, res) => {
+  const { skill_id, level = 'intermediate', sort_order = 0 } = req.body;
+
+  try {
+    await executeQuery(
+      `INSERT INTO occupation_skills (occupation_id, skill_id, level, sort_order) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE level = VALUES(level), sort_order = VALUES(sort_order)`,
+      [req.params.id, skill_id, level, sort_order]
+    );
+  } catch (error) {
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      throw new NotFoundError(msg("ไม่พบอาชีพหรือทักษะ", "Occupation or skill not found"));
+    }
+    throw error;
+  }
+
+  sendSuccess(res);
+});
+
+// DELETE /api/admin/occupations/:id/skills/:skillId
+exports.unlinkOccupationSkill = asyncHandler(async (req, res) => {
+  const [result] = await executeQuery(
+    "DELETE FROM occupation_skills WHERE occupation_id = ? AND skill_id = ?",
+    [req.params.id, req.params.skillId]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new NotFoundError(msg("ทักษะนี้ไม่ได้ผูกกับอาชีพนี้", "Skill is not linked to this occupation"));
+  }
+
+  sendSuccess(res);
+});
+
+// คู่อาชีพที่เกี่ยวข้องกันเก็บแถวเดียว เรียง id น้อยไว้ก่อน
+const relationPair = (a, b) => (a < b ? [a, b] : [b, a]);
+
+// POST /api/admin/occupations/:id/related ความสัมพันธ์เป็นสองทาง
+exports.relateOccupation = asyncHandler(async (req, res) => {
+  const { related_id } = req.body;
+  if (related_id === req.params.id) {
+    throw new BadRequestError(msg("อาชีพเกี่ยวข้องกับตัวเองไม่ได้", "An occupation cannot be related to itself"), 'SELF_RELATION');
+  }
+
+  try {
+    await executeQuery(
+      "INSERT IGNORE INTO occupation_relations (occupation_id, related_id) VALUES (?, ?)",
+      relationPair(req.params.id, related_id)
+    );
+  } catch (error) {
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      throw new NotFoundError(msg("ไม่พบอาชีพ", "Occupation not found"));
+    }
+    throw error;
+  }
+
+  sendSuccess(res);
+});
+
+// DELETE /api/admin/occupations/:id/related/:relatedId
+exports.unrelateOccupation = asyncHandler(async (req, res) => {
+  const [result] = await executeQuery(
+    "DELETE FROM occupation_relations WHERE occupation_id = ? AND related_id = ?",
+    relationPair(req.params.id, req.params.relatedId)
+  );
+
+  if (result.affectedRows === 0) {
+    throw new NotFoundError(msg("อาชีพทั้งสองไม่ได้เกี่ยวข้องกัน", "These occupations are not related"));
+  }
+
+  sendSuccess(res);
+});
+
+exports.updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    throw new BadRequestError(msg(`role ต้องเป็นหนึ่งใน: ${ROLES.join(', ')}`, `Role must be one of: ${ROLES.join(', ')}`));
+  }
+
+  const [result] = await executeQuery("UPDATE users SET role = ? WHERE id = ?", [role, req.params.id]);
+
+  if (result.affectedRows === 0) {
+    throw new NotFoundError(msg("ไม่พบผู้ใช้", "User not found"));
+  }
+
+  sendSuccess(res);
+});
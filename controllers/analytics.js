@@ -0,0 +1,179 @@
+const { executeQuery } = require("../database/initDatabase.js");
+const { msg, BadRequestError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+const { isValidTimeZone, timeZoneOffset, formatOffset, todayIn } = require("../utils/timezone.js");
+
+const DEFAULT_TIME_ZONE = process.env.ANALYTICS_TZ || 'Asia/Bangkok';
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 400;
+const DEFAULT_TOP = 10;
+const MAX_TOP = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * * ช่วงเวลาของแต่ละจุดในกราฟ bucket คือวันแรกของช่วง (YYYY-MM-DD ตามเวลาท้องถิ่นของ tz)
+ * * week เริ่มวันจันทร์ (WEEKDAY ของ MySQL จันทร์ = 0) start/next คำนวณแบบเดียวกันฝั่ง JS เพื่อเติมช่วงที่ไม่มีข้อมูล
+ */
+const INTERVALS = {
+  day: {
+    sql: "DATE(local_at)",
+    start: (date) => date,
+    next: (date) => new Date(date.getTime() + DAY_MS),
+  },
+  week: {
+    sql: "DATE_SUB(DATE(local_at), INTERVAL WEEKDAY(local_at) DAY)",
+    start: (date) => new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS),
+    next: (date) => new Date(date.getTime() + 7 * DAY_MS),
+  },
+  month: {
+    sql: "DATE_FORMAT(local_at, '%Y-%m-01')",
+    start: (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+    next: (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)),
+  },
+};
+
+const invalidQuery = (th, en) => new BadRequestError(msg(th, en), 'INVALID_QUERY');
+
+// วันที่ YYYY-MM-DD เป็น Date เวลาเที่ยงคืน UTC (ใช้แทนวันในปฏิทิน ไม่ใช่เวลาจริง)
+function parseDay(value, name) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  if (!date || date.toISOString().slice(0, 10) !== value) {
+    throw invalidQuery(`${name} ต้องเป็นวันที่รูปแบบ YYYY-MM-DD`, `${name} must be a date in YYYY-MM-DD format`);
+  }
+  return date;
+}
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * * อ่าน from, to (รวมวันสุดท้าย), interval, tz และ top จาก query string
+ * * ค่าเริ่มต้นคือ 30 วันล่าสุดแยกรายวันตามเวลา ANALYTICS_TZ (Asia/Bangkok)
+ */
+function parseAnalyticsQuery(query) {
+  const tz = query.tz || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(tz)) {
+    throw invalidQuery('tz ต้องเป็นชื่อ timezone เช่น Asia/Bangkok', 'tz must be an IANA time zone such as Asia/Bangkok');
+  }
+
+  const intervalName = query.interval || 'day';
+  if (!Object.hasOwn(INTERVALS, intervalName)) {
+    const names = Object.keys(INTERVALS).join(', ');
+    throw invalidQuery(`interval ต้องเป็นหนึ่งใน: ${names}`, `interval must be one of: ${names}`);
+  }
+  const interval = INTERVALS[intervalName];
+
+  const to = query.to ? parseDay(query.to, 'to') : parseDay(todayIn(tz), 'to');
+  const from = query.from
+    ? parseDay(query.from, 'from')
+    : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (from > to) {
+    throw invalidQuery('from ต้องไม่อยู่หลัง to', 'from must not be after to');
+  }
+
+  const top = query.top === undefined ? DEFAULT_TOP : Number(query.top);
+  if (!Number.isInteger(top) || top < 1 || top > MAX_TOP) {
+    throw invalidQuery(`top ต้องเป็นจำนวนเต็มระหว่าง 1 ถึง ${MAX_TOP}`, `top must be an integer between 1 and ${MAX_TOP}`);
+  }
+
+  const buckets = [];
+  for (let bucket = interval.start(from); bucket <= to; bucket = interval.next(bucket)) {
+    buckets.push(bucket);
+    if (buckets.length > MAX_BUCKETS) {
+      throw invalidQuery(
+        `ช่วงเวลายาวเกินไป (ไม่เกิน ${MAX_BUCKETS} ช่วง) ลองใช้ interval ที่ยาวขึ้น`,
+        `Date range is too long (at most ${MAX_BUCKETS} buckets), try a longer interval`
+      );
+    }
+  }
+
+  return { tz, intervalName, interval, from, to, top, buckets };
+}
+
+/**
+ * * timezone ที่ส่งให้ CONVERT_TZ: ถ้า offset คงที่ตลอดช่วง (เช่น Asia/Bangkok) ใช้ '+07:00' ซึ่งใช้ได้กับทุกฐานข้อมูล
+ * * ถ้ามีเวลาออมแสงในช่วงนั้นต้องใช้ชื่อ timezone ซึ่งฐานข้อมูลต้องโหลดตาราง timezone ไว้
+ */
+async function sqlTimeZone(tz, { buckets, to }) {
+  const offsets = new Set([...buckets, to, new Date(to.getTime() + DAY_MS)].map((date) => timeZoneOffset(tz, date)));
+  if (offsets.size === 1) {
+    return formatOffset([...offsets][0]);
+  }
+
+  const [rows] = await executeQuery("SELECT CONVERT_TZ('2000-01-01 00:00:00', '+00:00', ?) AS converted", [tz]);
+  if (!rows[0] || rows[0].converted === null) {
+    throw new BadRequestError(
+      msg(`ฐานข้อมูลไม่รองรับ timezone ${tz} ในช่วงที่มีเวลาออมแสง`, `The database cannot convert ${tz} across daylight saving changes`),
+      'UNSUPPORTED_TIMEZONE'
+    );
+  }
+  return tz;
+}
+
+// GET /api/analytics/submissions?from=&to=&interval=day|week|month&tz=&top=
+exports.getSubmissionStats = asyncHandler(async (req, res) => {
+  const { tz, intervalName, interval, from, to, top, buckets } = parseAnalyticsQuery(req.query);
+  const zone = await sqlTimeZone(tz, { buckets, to });
+
+  // submitted_at เก็บตามเวลาของ session ฐานข้อมูล แปลงขอบเขตเป็นเวลานั้นก่อนเพื่อให้ใช้ index ได้
+  const range = "f.submitted_at >= CONVERT_TZ(?, ?, @@session.time_zone) AND f.submitted_at < CONVERT_TZ(?, ?, @@session.time_zone)";
+  const rangeParams = [`${formatDay(from)} 00:00:00`, zone, `${formatDay(new Date(to.getTime() + DAY_MS))} 00:00:00`, zone];
+
+  const [totals] = await executeQuery(
+    `SELECT DATE_FORMAT(${interval.sql}, '%Y-%m-%d') AS bucket, COUNT(*) AS count
+     FROM (
+       SELECT CONVERT_TZ(f.submitted_at, @@session.time_zone, ?) AS local_at
+       FROM form_submissions f
+       WHERE ${range}
+     ) s
+     GROUP BY bucket`,
+    [zone, ...rangeParams]
+  );
+
+  // ผลแบบทดสอบที่มีอาชีพอันดับหนึ่ง (ส่งผ่าน /api/form-submissions อย่างเดียวจะไม่มีในส่วนนี้)
+  const [occupationRows] = await executeQuery(
+    `SELECT DATE_FORMAT(${interval.sql}, '%Y-%m-%d') AS bucket, occupation_id, name, COUNT(*) AS count
+     FROM (
+       SELECT CONVERT_TZ(f.submitted_at, @@session.time_zone, ?) AS local_at, a.top_occupation_id AS occupation_id, o.name
+       FROM form_submissions f
+       JOIN quiz_attempts a ON a.submission_id = f.id
+       JOIN occupation o ON o.id = a.top_occupation_id
+       WHERE ${range}
+     ) s
+     GROUP BY bucket, occupation_id, name`,
+    [zone, ...rangeParams]
+  );
+
+  const byOccupation = new Map();
+  for (const row of occupationRows) {
+    const entry = byOccupation.get(row.occupation_id) || { occupation_id: row.occupation_id, name: row.name, count: 0 };
+    entry.count += Number(row.count);
+    byOccupation.set(row.occupation_id, entry);
+  }
+  const topOccupations = [...byOccupation.values()]
+    .sort((a, b) => b.count - a.count || a.occupation_id - b.occupation_id)
+    .slice(0, top);
+  const topIds = new Set(topOccupations.map((occupation) => occupation.occupation_id));
+
+  const counts = new Map(totals.map((row) => [row.bucket, Number(row.count)]));
+  const series = buckets.map((date) => {
+    const bucket = formatDay(date);
+    return {
+      bucket,
+      count: counts.get(bucket) || 0,
+      byOccupation: occupationRows
+        .filter((row) => row.bucket === bucket && topIds.has(row.occupation_id))
+        .map((row) => ({ occupation_id: row.occupation_id, count: Number(row.count) })),
+    };
+  });
+
+  sendSuccess(res, {
+    from: formatDay(from),
+    to: formatDay(to),
+    interval: intervalName,
+    tz,
+    total: series.reduce((sum, point) => sum + point.count, 0),
+    series,
+    byOccupation: topOccupations,
+  });
+});
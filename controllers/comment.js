@@ -1,3 +1,141 @@
-const express = require('express');
-const router = express.Router();
-const db = require('./database/initDatabase.js');
\ No newline at end of file
+const { executeQuery } = require("../database/initDatabase.js");
+const { parseListQuery, paginate, likePattern } = require("../utils/pagination.js");
+const { recordAction } = require("./moderation.js");
+const { formatAuthor } = require("../utils/author.js");
+const { msg, BadRequestError, ForbiddenError, NotFoundError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+
+const COMMENT_SORTS = {
+    newest: { key: 'created_at', direction: 'DESC' },
+    oldest: { key: 'created_at', direction: 'ASC' },
+    top: { key: 'reaction_count', direction: 'DESC' },
+};
+
+const COMMENTS_WITH_COUNTS = `(
+    SELECT c.*,
+        (SELECT COUNT(*) FROM reactions r WHERE r.target_type = 'comment' AND r.target_id = c.id) AS reaction_count,
+        u.fname AS author_fname,
+        u.avatar AS author_avatar
+    FROM comments c
+    LEFT JOIN users u ON u.id = c.user_id
+) AS list`;
+
+// แทน user_name ด้วยโปรไฟล์ผู้เขียน
+function formatComment(row) {
+    const { author_fname, author_avatar, user_name, ...comment } = row;
+    comment.author = formatAuthor(comment.user_id, author_fname, author_avatar, user_name);
+    return comment;
+}
+
+// นำคำตอบกลับ (ทุกระดับ) ไปซ้อนใต้ความคิดเห็นที่ตอบ
+function attachReplies(roots, replies) {
+    const byId = new Map();
+    for (const comment of [...roots, ...replies]) {
+        comment.replies = [];
+        byId.set(comment.id, comment);
+    }
+    for (const reply of replies) {
+        const parent = byId.get(reply.parent_id);
+        if (parent) parent.replies.push(reply);
+    }
+    return roots;
+}
+
+// กระทู้ที่ถูกซ่อนถือว่าไม่มีอยู่ เหมือน GET /api/threads/:id
+async function ensureVisibleThread(threadId) {
+    const [threads] = await executeQuery('SELECT id FROM threads WHERE id = ? AND is_hidden = 0', [threadId]);
+    if (threads.length === 0) {
+        throw new NotFoundError(msg('ไม่พบกระทู้', 'Thread not found'));
+    }
+}
+
+// ความคิดเห็นระดับบนสุดแบบแบ่งหน้า พร้อม replies ซ้อนอยู่ภายใน: ?limit=&cursor=&sort=newest|oldest|top&q=
+exports.getCommentsByThread = asyncHandler(async (req, res) => {
+    const list = parseListQuery(req.query, COMMENT_SORTS, 'newest');
+    await ensureVisibleThread(req.params.thread_id);
+
+    const where = ['list.thread_id = ?', 'list.is_hidden = 0', 'list.parent_id IS NULL'];
+    const params = [req.params.thread_id];
+    if (list.q) {
+        where.push('list.comment LIKE ?');
+        params.push(likePattern(list.q));
+    }
+
+    const page = await paginate(executeQuery, { from: COMMENTS_WITH_COUNTS, where, params, list });
+    page.items = page.items.map(formatComment);
+    if (page.items.length > 0) {
+        // เฉพาะคำตอบ (ทุกระดับ) ใต้ความคิดเห็นในหน้านี้ ไม่โหลดคำตอบทั้งกระทู้
+        const [replies] = await executeQuery(
+            `WITH RECURSIVE reply_tree (id) AS (
+                SELECT id FROM comments WHERE parent_id IN (?) AND is_hidden = 0
+                UNION ALL
+                SELECT c.id FROM comments c JOIN reply_tree t ON c.parent_id = t.id WHERE c.is_hidden = 0
+             )
+             SELECT * FROM ${COMMENTS_WITH_COUNTS}
+             WHERE list.id IN (SELECT id FROM reply_tree)
+             ORDER BY list.created_at ASC, list.id ASC`,
+            [page.items.map((comment) => comment.id)]
+        );
+        attachReplies(page.items, replies.map(formatComment));
+    }
+
+    sendSuccess(res, page);
+});
+
+// parent_id (ถ้ามี) ต้องเป็นความคิดเห็นในกระทู้เดียวกัน
+exports.postComment = asyncHandler(async (req, res) => {
+    const { thread_id, comment, parent_id } = req.body;
+    await ensureVisibleThread(thread_id);
+
+    if (parent_id) {
+        const [parents] = await executeQuery('SELECT id, thread_id FROM comments WHERE id = ? AND is_hidden = 0', [parent_id]);
+        if (parents.length === 0) {
+            throw new NotFoundError(msg('ไม่พบความคิดเห็นที่ต้องการตอบกลับ', 'Parent comment not found'));
+        }
+        if (String(parents[0].thread_id) !== String(thread_id)) {
+            throw new BadRequestError(msg('parent_id ต้องเป็นความคิดเห็นในกระทู้เดียวกัน', 'parent_id must be a comment in the same thread'));
+        }
+    }
+
+    try {
+        const query = 'INSERT INTO comments (thread_id, comment, user_id, parent_id) VALUES (?, ?, ?, ?)';
+        const [result] = await executeQuery(query, [thread_id, comment, req.user ? req.user.id : null, parent_id || null]);
+        sendSuccess(res, { commentId: result.insertId }, 201);
+    } catch (error) {
+        // กระทู้ถูกลบระหว่างตรวจกับบันทึก
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            throw new NotFoundError(msg('ไม่พบกระทู้', 'Thread not found'));
+        }
+        throw error;
+    }
+});
+
+// ตรวจว่าความคิดเห็นมีอยู่และเป็นของผู้ใช้ที่เข้าสู่ระบบ
+async function ensureCommentOwner(req) {
+    const [comments] = await executeQuery('SELECT id, user_id FROM comments WHERE id = ?', [req.params.id]);
+
+    if (comments.length === 0) {
+        throw new NotFoundError(msg('ไม่พบความคิดเห็น', 'Comment not found'));
+    }
+    if (comments[0].user_id !== req.user.id) {
+        throw new ForbiddenError(msg('แก้ไขได้เฉพาะความคิดเห็นของตัวเอง', 'You can only modify your own comments'));
+    }
+}
+
+exports.updateComment = asyncHandler(async (req, res) => {
+    await ensureCommentOwner(req);
+
+    await executeQuery('UPDATE comments SET comment = ? WHERE id = ?', [req.body.comment, req.params.id]);
+    await recordAction(req.user.id, 'edit', 'comment', req.params.id);
+
+    sendSuccess(res);
+});
+
+exports.deleteComment = asyncHandler(async (req, res) => {
+    await ensureCommentOwner(req);
+
+    await executeQuery('DELETE FROM comments WHERE id = ?', [req.params.id]);
+    await recordAction(req.user.id, 'author_delete', 'comment', req.params.id);
+
+    sendSuccess(res);
+});
@@ -1,2 +0,0 @@
-const { databaseConnection } = require("../database/initDatabase.js");
-
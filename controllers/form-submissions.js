@@ -1,58 +1,41 @@
-const { databaseConnection } = require("../database/initDatabase.js");
-const express = require('express');
-const router = express.Router();
+const { executeQuery } = require("../database/initDatabase.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
 
-exports.formsubmissions = async (req, res) => {
-    const connection = databaseConnection();
+exports.formsubmissions = asyncHandler(async (req, res) => {
+    // Query for the count of today's submissions
+    const [todayResult] = await executeQuery(`
+    SELECT COUNT(*) AS count
+    FROM form_submissions
+    WHERE DATE(submitted_at) = CURDATE()
+    `);
 
-    try {
-        connection.query("SELECT submitted_at FROM form_submissions", (error, results) => {
-            if (error) {
-                return res.status(500).json({ message: "Database error", error: error.message });
-            }
+    // Query for the count of yesterday's submissions
+    const [yesterdayResult] = await executeQuery(`
+    SELECT COUNT(*) AS count
+    FROM form_submissions
+    WHERE DATE(submitted_at) = CURDATE() - INTERVAL 1 DAY
+    `);
 
-            if (results.length === 0) {
-                return res.status(404).json({ message: "No submissions found" });
-            }
+    // Query for the count of all-time submissions
+    const [allTimeResult] = await executeQuery(`
+    SELECT COUNT(*) AS count
+    FROM form_submissions
+    `);
 
-            const today = new Date();
-            const yesterday = new Date();
-            yesterday.setDate(today.getDate() - 1);
+    sendSuccess(res, {
+        today: todayResult[0].count,
+        yesterday: yesterdayResult[0].count,
+        allTime: allTimeResult[0].count,
+    });
+});
 
-            // Initialize counts
-            let todayCount = 0;
-            let yesterdayCount = 0;
-            const allTimeCount = results.length;
+exports.formPost = asyncHandler(async (req, res) => {
+    const { submitted_at } = req.body;
 
-            // Calculate counts
-            results.forEach((row) => {
-                if (row.submitted_at) {
-                    const submissionDate = new Date(row.submitted_at);
-                    if (
-                        submissionDate.getFullYear() === today.getFullYear() &&
-                        submissionDate.getMonth() === today.getMonth() &&
-                        submissionDate.getDate() === today.getDate()
-                    ) {
-                        todayCount++;
-                    } else if (
-                        submissionDate.getFullYear() === yesterday.getFullYear() &&
-                        submissionDate.getMonth() === yesterday.getMonth() &&
-                        submissionDate.getDate() === yesterday.getDate()
-                    ) {
-                        yesterdayCount++;
-                    }
-                }
-            });
+    await executeQuery(`
+        INSERT INTO form_submissions (submitted_at)
+        VALUES (?)
+    `, [submitted_at]);
 
-            // Return the aggregated counts
-            res.json({
-                message: "Form submission counts",
-                today: todayCount,
-                yesterday: yesterdayCount,
-                allTime: allTimeCount,
-            });
-        });
-    } catch (error) {
-        res.status(500).json({ message: "Server error", error: error.message });
-    }
-};
\ No newline at end of file
+    sendSuccess(res, null, 201);
+});
@@ -0,0 +1,75 @@
+const { executeQuery, poolStats } = require("../database/initDatabase.js");
+const migrate = require("../database/migrate.js");
+const { registry } = require("../metrics/metrics.js");
+const { isShuttingDown } = require("../lifecycle/shutdown.js");
+const { msg, AppError, UnauthorizedError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+
+// เวลาสูงสุดของแต่ละการตรวจใน /readyz (connectTimeout ของ pool นานถึง 20 วินาที)
+const READY_CHECK_TIMEOUT = Number(process.env.READY_CHECK_TIMEOUT) || 3000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// รันการตรวจหนึ่งอย่าง คืน { check, ok, ... } โดยไม่โยน error
+async function runCheck(check, fn) {
+  try {
+    return { check, ok: true, ...(await withTimeout(fn(), READY_CHECK_TIMEOUT)) };
+  } catch (error) {
+    return { check, ok: false, error: error.message };
+  }
+}
+
+// GET /healthz: process ยังทำงานอยู่ (ไม่แตะฐานข้อมูล)
+exports.healthz = (req, res) => {
+  sendSuccess(res, { status: 'ok', uptime: Math.round(process.uptime()) });
+};
+
+const notReady = (checks) => new AppError(503, 'NOT_READY', msg('เซิฟเวอร์ยังไม่พร้อมให้บริการ', 'Service is not ready'), checks);
+
+// GET /readyz: ฐานข้อมูลเชื่อมต่อได้และ migration ถูกรันครบ ถ้าไม่พร้อม (หรือกำลังปิดเซิฟเวอร์) ตอบ 503 ให้ load balancer หยุดส่งคำขอมา
+exports.readyz = asyncHandler(async (req, res) => {
+  if (isShuttingDown()) {
+    throw notReady([{ check: 'shutdown', ok: false, error: 'Server is shutting down' }]);
+  }
+
+  const database = await runCheck('database', async () => {
+    await executeQuery('SELECT 1');
+    return { pool: poolStats() };
+  });
+
+  const migrations = database.ok
+    ? await runCheck('migrations', async () => {
+      const pending = (await migrate.status()).filter((migration) => !migration.applied).map(({ name }) => name);
+      if (pending.length > 0) {
+        throw new Error(`Pending migrations: ${pending.join(', ')}`);
+      }
+      return {};
+    })
+    : { check: 'migrations', ok: false, error: 'Skipped because the database is unreachable' };
+
+  const checks = [database, migrations];
+  if (checks.some((check) => !check.ok)) {
+    throw notReady(checks);
+  }
+
+  sendSuccess(res, { status: 'ready', checks });
+});
+
+// GET /metrics: Prometheus text format ถ้าตั้ง METRICS_TOKEN ต้องส่ง Authorization: Bearer <token>
+exports.metrics = (req, res, next) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return next(new UnauthorizedError());
+  }
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(registry.render());
+};
@@ -0,0 +1,89 @@
+const { executeQuery } = require("../database/initDatabase.js");
+const { getStorage } = require("../storage/storage.js");
+const { saveImage, removeImage } = require("../storage/images.js");
+const { msg, NotFoundError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+
+// คอลัมน์ JSON อาจถูกส่งกลับมาเป็น string หรือ object ขึ้นกับ driver
+function parseJson(value) {
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+/**
+ * * เก็บรูปใหม่ทุกขนาด แล้วให้ save() บันทึก variants ลงฐานข้อมูล
+ * * บันทึกไม่สำเร็จจะลบไฟล์ใหม่ทิ้ง สำเร็จแล้วค่อยลบไฟล์เดิม (ยกเว้นไฟล์ที่ชื่อซ้ำกับไฟล์ใหม่เพราะเป็นรูปเดิม)
+ */
+async function replaceImage(req, { preset, prefix, previous }, save) {
+  const storage = getStorage();
+  const variants = await saveImage(storage, req.file.buffer, { preset, prefix });
+
+  try {
+    await save(variants);
+  } catch (error) {
+    await removeImage(storage, variants).catch(() => {});
+    throw error;
+  }
+
+  const keys = new Set(Object.values(variants).map((variant) => variant.key));
+  const stale = Object.fromEntries(
+    Object.entries(parseJson(previous) || {}).filter(([, variant]) => !keys.has(variant.key))
+  );
+  await removeImage(storage, stale).catch((err) => req.log.warn('failed to remove old image', { err }));
+
+  return variants;
+}
+
+// POST /api/videos/:id/thumbnail (admin) รูปปกวิดีโอ image จะเป็น URL ขนาดกลาง
+exports.uploadVideoThumbnail = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const [videos] = await executeQuery("SELECT id, image_variants FROM videospath WHERE id = ?", [id]);
+  if (videos.length === 0) {
+    throw new NotFoundError(msg("ไม่พบวิดีโอ", "Video not found"));
+  }
+
+  const variants = await replaceImage(
+    req,
+    { preset: 'thumbnail', prefix: `videos/${id}`, previous: videos[0].image_variants },
+    (next) => executeQuery(
+      "UPDATE videospath SET image = ?, image_variants = ? WHERE id = ?",
+      [next.medium.url, JSON.stringify(next), id]
+    )
+  );
+
+  sendSuccess(res, { image: variants.medium.url, variants });
+});
+
+// POST /api/users/:id/avatar ใช้หลัง requireSelf
+exports.uploadAvatar = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const [users] = await executeQuery("SELECT id, avatar_variants FROM users WHERE id = ?", [id]);
+  if (users.length === 0) {
+    throw new NotFoundError(msg("ไม่พบผู้ใช้", "User not found"));
+  }
+
+  const variants = await replaceImage(
+    req,
+    { preset: 'avatar', prefix: `avatars/${id}`, previous: users[0].avatar_variants },
+    (next) => executeQuery(
+      "UPDATE users SET avatar = ?, avatar_variants = ? WHERE id = ?",
+      [next.medium.url, JSON.stringify(next), id]
+    )
+  );
+
+  sendSuccess(res, { avatar: variants.medium.url, variants });
+});
+
+// DELETE /api/users/:id/avatar ใช้หลัง requireSelf
+exports.deleteAvatar = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const [users] = await executeQuery("SELECT id, avatar_variants FROM users WHERE id = ?", [id]);
+  if (users.length === 0) {
+    throw new NotFoundError(msg("ไม่พบผู้ใช้", "User not found"));
+  }
+
+  await executeQuery("UPDATE users SET avatar = NULL, avatar_variants = NULL WHERE id = ?", [id]);
+  await removeImage(getStorage(), parseJson(users[0].avatar_variants))
+    .catch((err) => req.log.warn('failed to remove old image', { err }));
+
+  sendSuccess(res);
+});
@@ -0,0 +1,175 @@
+const { executeQuery } = require("../database/initDatabase.js");
+const { msg, BadRequestError, ConflictError, NotFoundError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+
+// ประเภทเนื้อหาที่รายงานและจัดการได้
+const CONTENT_TABLES = {
+  thread: 'threads',
+  comment: 'comments',
+};
+
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// บันทึกว่าใครทำอะไรกับเนื้อหาไหน (ใช้ทั้งผู้เขียนและผู้ดูแล)
+async function recordAction(actorId, action, contentType, contentId, { reportId = null, reason = null } = {}) {
+  await executeQuery(
+    "INSERT INTO moderation_log (actor_id, action, content_type, content_id, report_id, reason) VALUES (?, ?, ?, ?, ?, ?)",
+    [actorId, action, contentType, contentId, reportId, reason]
+  );
+}
+
+async function findContent(contentType, contentId) {
+  const [rows] = await executeQuery(`SELECT * FROM ${CONTENT_TABLES[contentType]} WHERE id = ?`, [contentId]);
+  return rows[0] || null;
+}
+
+// ปิดรายงานที่ยังเปิดอยู่ทั้งหมดของเนื้อหานี้
+async function resolveReports(contentType, contentId, moderatorId) {
+  await executeQuery(
+    "UPDATE reports SET status = 'resolved', resolved_by = ?, resolved_at = NOW() WHERE content_type = ? AND content_id = ? AND status = 'open'",
+    [moderatorId, contentType, contentId]
+  );
+}
+
+exports.recordAction = recordAction;
+
+// POST /api/reports
+exports.createReport = asyncHandler(async (req, res) => {
+  const { content_type, content_id, reason } = req.body;
+
+  if (!CONTENT_TABLES[content_type] || !content_id || !reason) {
+    throw new BadRequestError(msg(
+      "กรุณาระบุ content_type (thread หรือ comment), content_id และ reason",
+      "Please provide content_type (thread or comment), content_id and reason"
+    ));
+  }
+
+  const content = await findContent(content_type, content_id);
+  if (!content) {
+    throw new NotFoundError(msg("ไม่พบเนื้อหา", "Content not found"));
+  }
+
+  try {
+    const [result] = await executeQuery(
+      "INSERT INTO reports (content_type, content_id, reporter_id, reason) VALUES (?, ?, ?, ?)",
+      [content_type, content_id, req.user.id, reason]
+    );
+    sendSuccess(res, { reportId: result.insertId }, 201);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ConflictError(msg("คุณรายงานเนื้อหานี้ไปแล้ว", "You have already reported this content"));
+    }
+    throw error;
+  }
+});
+
+// GET /api/moderation/reports?status=open
+exports.getReports = asyncHandler(async (req, res) => {
+  const status = req.query.status || 'open';
+
+  if (!REPORT_STATUSES.includes(status)) {
+    const names = REPORT_STATUSES.join(', ');
+    throw new BadRequestError(msg(`status ต้องเป็นหนึ่งใน: ${names}`, `status must be one of: ${names}`), 'INVALID_QUERY');
+  }
+
+  const [results] = await executeQuery(`
+    SELECT r.*,
+      COALESCE(t.title, c.comment) AS content_preview,
+      COALESCE(t.is_hidden, c.is_hidden) AS is_hidden
+    FROM reports r
+    LEFT JOIN threads t ON r.content_type = 'thread' AND t.id = r.content_id
+    LEFT JOIN comments c ON r.content_type = 'comment' AND c.id = r.content_id
+    WHERE r.status = ?
+    ORDER BY r.created_at ASC, r.id ASC
+  `, [status]);
+
+  sendSuccess(res, results);
+});
+
+// POST /api/moderation/reports/:id/dismiss
+exports.dismissReport = asyncHandler(async (req, res) => {
+  const [reports] = await executeQuery("SELECT * FROM reports WHERE id = ? AND status = 'open'", [req.params.id]);
+
+  if (reports.length === 0) {
+    throw new NotFoundError(msg("ไม่พบรายงานที่ยังเปิดอยู่", "Open report not found"));
+  }
+
+  const report = reports[0];
+  await executeQuery(
+    "UPDATE reports SET status = 'dismissed', resolved_by = ?, resolved_at = NOW() WHERE id = ?",
+    [req.user.id, report.id]
+  );
+  await recordAction(req.user.id, 'dismiss_report', report.content_type, report.content_id, {
+    reportId: report.id,
+    reason: req.body.reason,
+  });
+
+  sendSuccess(res);
+});
+
+/**
+ * * POST /api/moderation/:type/hide, /restore และ DELETE /api/moderation/:type/:id
+ * * type คือ threads หรือ comments ส่ง report_id และ reason ใน body ได้เพื่อบันทึกลงประวัติ
+ */
+function moderate(action) {
+  return asyncHandler(async (req, res) => {
+    const contentType = req.params.type === 'threads' ? 'thread' : req.params.type === 'comments' ? 'comment' : null;
+
+    if (!contentType) {
+      throw new NotFoundError();
+    }
+
+    const contentId = req.params.id;
+    const content = await findContent(contentType, contentId);
+
+    if (!content) {
+      throw new NotFoundError(msg("ไม่พบเนื้อหา", "Content not found"));
+    }
+
+    const table = CONTENT_TABLES[contentType];
+    if (action === 'delete') {
+      await executeQuery(`DELETE FROM ${table} WHERE id = ?`, [contentId]);
+    } else {
+      await executeQuery(`UPDATE ${table} SET is_hidden = ? WHERE id = ?`, [action === 'hide' ? 1 : 0, contentId]);
+    }
+
+    if (action !== 'restore') {
+      await resolveReports(contentType, contentId, req.user.id);
+    }
+    await recordAction(req.user.id, action, contentType, contentId, {
+      reportId: req.body.report_id || null,
+      reason: req.body.reason || null,
+    });
+
+    sendSuccess(res);
+  });
+}
+
+exports.hideContent = moderate('hide');
+exports.restoreContent = moderate('restore');
+exports.deleteContent = moderate('delete');
+
+// GET /api/moderation/log?content_type=&content_id=
+exports.getLog = asyncHandler(async (req, res) => {
+  const where = [];
+  const params = [];
+  if (req.query.content_type) {
+    where.push('l.content_type = ?');
+    params.push(req.query.content_type);
+  }
+  if (req.query.content_id) {
+    where.push('l.content_id = ?');
+    params.push(req.query.content_id);
+  }
+
+  const [results] = await executeQuery(`
+    SELECT l.*, u.fname AS actor_fname, u.lname AS actor_lname
+    FROM moderation_log l
+    LEFT JOIN users u ON u.id = l.actor_id
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY l.created_at DESC, l.id DESC
+    LIMIT 200
+  `, params);
+
+  sendSuccess(res, results);
+});
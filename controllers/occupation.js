@@ -1,51 +1,89 @@
-const { databaseConnection } = require("../database/initDatabase.js");
-
-
-exports.getAllOccupation = async (request, res) => {
-    const connection = databaseConnection();
-    try {
-        connection.query("SELECT * FROM occupation", (error, results) => {  
-            if (results.length === 0) {
-                res.json({ message: "Not Found" });
-            } else {
-                res.json({
-                    message: "Find occupation success",
-                    results: results,
-                });
-            }
-            if (error) {
-                res.json({ message: error.message, error: error });
-            }
-        });
-    } catch (error) {
-        
-    }
-};
+const { executeQuery } = require("../database/initDatabase.js");
+const { msg, NotFoundError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+
+
+exports.getAllOccupation = asyncHandler(async (request, res) => {
+    const [results] = await executeQuery("SELECT * FROM occupation");
+    sendSuccess(res, results);
+});
 
-exports.getQuestionByOccupation = async (request, res) => {
-    const connection = databaseConnection();
-    if (!request.params.id) {
-        res.json({ message: "Please provide occupation id" });
-        return;
+// เงินเดือนโดยประมาณ (บาทต่อเดือน) ถ้ายังไม่ได้กรอกทั้งสองค่าคืน null
+function salaryRange(min, max) {
+    if (min === null && max === null) return null;
+    return { min, max, currency: 'THB', period: 'month' };
+}
+
+// รายละเอียดอาชีพสำหรับหน้าหลังทำแบบทดสอบ (GET /api/occupation/:id)
+exports.getOccupationById = asyncHandler(async (request, res) => {
+    const { id } = request.params;
+    const [occupations] = await executeQuery("SELECT * FROM occupation WHERE id = ?", [id]);
+    if (occupations.length === 0) {
+        throw new NotFoundError(msg("ไม่พบอาชีพ", "Occupation not found"));
     }
 
-    try {
-        connection.query("SELECT * FROM question WHERE question_type = ?", [request.params.id], (error, results) => {  
-            if (results.length === 0) {
-                res.json({ message: "Not Found" });
-            } else {
-                res.json({
-                    message: "Find question success",
-                    results: results,
-                });
-            }
-            if (error) {
-                res.json({ message: error.message, error: error });
-            }
-        });
-    } catch (error) {
-        console.log(error.message);
-        res.status(500).json({ message: error.message, error: error });
+    const [skills] = await executeQuery(
+        `SELECT s.id, s.name, s.description, os.level
+         FROM occupation_skills os
+         JOIN skills s ON s.id = os.skill_id
+         WHERE os.occupation_id = ?
+         ORDER BY os.sort_order, s.name`,
+        [id]
+    );
+    const [educationPaths] = await executeQuery(
+        "SELECT id, kind, title, description FROM education_paths WHERE occupation_id = ? ORDER BY sort_order, id",
+        [id]
+    );
+    // occupation_relations เก็บคู่ละแถวเดียว อาชีพนี้อาจอยู่ฝั่งไหนก็ได้
+    const [related] = await executeQuery(
+        `SELECT o.id, o.name, o.description
+         FROM occupation_relations r
+         JOIN occupation o ON o.id = IF(r.occupation_id = ?, r.related_id, r.occupation_id)
+         WHERE r.occupation_id = ? OR r.related_id = ?
+         ORDER BY o.name`,
+        [id, id, id]
+    );
+    const [questions] = await executeQuery(
+        "SELECT id, question_text FROM question WHERE question_type = ? ORDER BY id",
+        [id]
+    );
+
+    const { salary_min, salary_max, ...occupation } = occupations[0];
+    sendSuccess(res, {
+        ...occupation,
+        salary: salaryRange(salary_min, salary_max),
+        skills,
+        educationPaths,
+        related,
+        questions,
+    });
+});
+
+async function ensureOccupation(id) {
+    const [occupations] = await executeQuery("SELECT id FROM occupation WHERE id = ?", [id]);
+    if (occupations.length === 0) {
+        throw new NotFoundError(msg("ไม่พบอาชีพ", "Occupation not found"));
     }
+}
+
+exports.getQuestionByOccupation = asyncHandler(async (request, res) => {
+    await ensureOccupation(request.params.id);
+
+    const [results] = await executeQuery("SELECT * FROM question WHERE question_type = ?", [request.params.id]);
+    sendSuccess(res, results);
+});
+
+// วิดีโอที่ผูกกับอาชีพ เรียงตาม sort_order ที่ admin กำหนด (GET /api/occupation/:id/videos)
+exports.getVideosByOccupation = asyncHandler(async (request, res) => {
+    await ensureOccupation(request.params.id);
 
-}
\ No newline at end of file
+    const [results] = await executeQuery(
+        `SELECT v.*, ov.sort_order
+         FROM occupation_videos ov
+         JOIN videospath v ON v.id = ov.video_id
+         WHERE ov.occupation_id = ?
+         ORDER BY ov.sort_order, v.id`,
+        [request.params.id]
+    );
+    sendSuccess(res, results);
+});
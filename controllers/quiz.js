@@ -0,0 +1,208 @@
+const { executeQuery } = require("../database/initDatabase.js");
+const { msg, BadRequestError, NotFoundError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+
+// ค่าคำตอบแต่ละข้อเป็นสเกล 0 - 5 (ไม่ใช่เลย - ใช่ที่สุด)
+const MIN_ANSWER_VALUE = 0;
+const MAX_ANSWER_VALUE = 5;
+
+function normalizeAnswers(answers) {
+  if (!Array.isArray(answers) || answers.length === 0) {
+    return null;
+  }
+
+  const byQuestion = new Map();
+  for (const answer of answers) {
+    const questionId = Number(answer && answer.question_id);
+    const value = Number(answer && answer.value);
+
+    if (!Number.isInteger(questionId) || questionId <= 0) return null;
+    if (!Number.isFinite(value) || value < MIN_ANSWER_VALUE || value > MAX_ANSWER_VALUE) return null;
+
+    // ถ้าตอบข้อเดิมซ้ำ ให้ใช้คำตอบล่าสุด
+    byQuestion.set(questionId, value);
+  }
+
+  return byQuestion;
+}
+
+/**
+ * * คำนวณคะแนนของแต่ละอาชีพจากคำตอบ
+ * * คำถามผูกกับอาชีพผ่าน question.question_type = occupation.id (เหมือน /api/question/:id)
+ * * คะแนน = ผลรวมคำตอบ / คะแนนเต็มของข้อที่ตอบ * 100
+ */
+function scoreOccupations(occupations, questions, answers) {
+  const results = occupations.map((occupation) => {
+    const related = questions.filter(
+      (question) => String(question.question_type) === String(occupation.id)
+    );
+
+    const reasons = related
+      .map((question) => ({
+        question_id: question.id,
+        question: question.question_text,
+        value: answers.get(question.id),
+      }))
+      .sort((a, b) => b.value - a.value);
+
+    const total = reasons.reduce((sum, reason) => sum + reason.value, 0);
+    const max = reasons.length * MAX_ANSWER_VALUE;
+
+    return {
+      occupation_id: occupation.id,
+      name: occupation.name,
+      description: occupation.description,
+      score: max === 0 ? 0 : Math.round((total / max) * 10000) / 100,
+      answered: reasons.length,
+      reasons,
+    };
+  });
+
+  return results
+    .filter((result) => result.answered > 0)
+    .sort((a, b) => b.score - a.score || b.answered - a.answered);
+}
+
+// คอลัมน์ JSON อาจถูกส่งกลับมาเป็น string หรือ object ขึ้นกับ driver
+function parseJson(value) {
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+async function findOccupationNames(ids) {
+  if (ids.length === 0) return new Map();
+
+  const placeholders = ids.map(() => "?").join(", ");
+  const [rows] = await executeQuery(
+    `SELECT id, name FROM occupation WHERE id IN (${placeholders})`,
+    ids
+  );
+  return new Map(rows.map((row) => [row.id, row.name]));
+}
+
+exports.submitQuiz = asyncHandler(async (req, res) => {
+  const answers = normalizeAnswers(req.body.answers);
+  // ผูกผลกับผู้ใช้ที่เข้าสู่ระบบ (optionalAuth) ผู้ที่ไม่ได้เข้าสู่ระบบยังทำแบบทดสอบได้
+  const userId = req.user ? req.user.id : null;
+
+  if (!answers) {
+    throw new BadRequestError(msg(
+      `กรุณาส่ง answers เป็น [{ question_id, value }] โดย value อยู่ระหว่าง ${MIN_ANSWER_VALUE} ถึง ${MAX_ANSWER_VALUE}`,
+      `Please provide answers as [{ question_id, value }] with value between ${MIN_ANSWER_VALUE} and ${MAX_ANSWER_VALUE}`
+    ));
+  }
+
+  const questionIds = [...answers.keys()];
+  const placeholders = questionIds.map(() => "?").join(", ");
+  const [questions] = await executeQuery(
+    `SELECT id, question_type, question_text FROM question WHERE id IN (${placeholders})`,
+    questionIds
+  );
+
+  if (questions.length !== questionIds.length) {
+    const known = new Set(questions.map((question) => question.id));
+    throw new BadRequestError(
+      msg("มีคำถามที่ไม่มีอยู่ในระบบ", "Some questions do not exist"),
+      'UNKNOWN_QUESTIONS',
+      questionIds
+        .filter((id) => !known.has(id))
+        .map((id) => ({ field: 'answers', location: 'body', question_id: id }))
+    );
+  }
+
+  const [occupations] = await executeQuery("SELECT id, name, description FROM occupation");
+  const results = scoreOccupations(occupations, questions, answers);
+  const top = results[0];
+
+  // บันทึกเวลาส่งจากฝั่งเซิฟเวอร์ เพื่อให้ /api/form-submission-counts นับจากการทำแบบทดสอบจริง
+  const [submission] = await executeQuery(
+    "INSERT INTO form_submissions (submitted_at) VALUES (NOW())"
+  );
+
+  const [attempt] = await executeQuery(
+    "INSERT INTO quiz_attempts (submission_id, user_id, top_occupation_id, answers, scores) VALUES (?, ?, ?, ?, ?)",
+    [
+      submission.insertId,
+      userId,
+      top ? top.occupation_id : null,
+      JSON.stringify(questionIds.map((id) => ({ question_id: id, value: answers.get(id) }))),
+      JSON.stringify(results.map(({ occupation_id, score }) => ({ occupation_id, score })))
+    ]
+  );
+
+  sendSuccess(res, { attemptId: attempt.insertId, results }, 201);
+});
+
+// ประวัติการทำแบบทดสอบของผู้ใช้ (GET /api/users/:id/results)
+exports.getUserResults = asyncHandler(async (req, res) => {
+  const userId = req.params.id;
+  const [attempts] = await executeQuery(
+    "SELECT id, top_occupation_id, scores, created_at FROM quiz_attempts WHERE user_id = ? ORDER BY created_at DESC, id DESC",
+    [userId]
+  );
+
+  const summaries = attempts.map((attempt) => ({
+    id: attempt.id,
+    created_at: attempt.created_at,
+    top_occupation_id: attempt.top_occupation_id,
+    topOccupations: parseJson(attempt.scores).slice(0, 3),
+  }));
+
+  const names = await findOccupationNames([
+    ...new Set(summaries.flatMap((summary) => summary.topOccupations.map((score) => score.occupation_id)))
+  ]);
+  for (const summary of summaries) {
+    summary.topOccupations = summary.topOccupations.map((score) => ({
+      ...score,
+      name: names.get(score.occupation_id) || null,
+    }));
+  }
+
+  sendSuccess(res, summaries);
+});
+
+// กระดาษคำตอบฉบับเต็มของการทำแบบทดสอบหนึ่งครั้ง (GET /api/users/:id/results/:attemptId)
+exports.getUserResultById = asyncHandler(async (req, res) => {
+  const { id, attemptId } = req.params;
+  const [attempts] = await executeQuery(
+    "SELECT * FROM quiz_attempts WHERE id = ? AND user_id = ?",
+    [attemptId, id]
+  );
+
+  if (attempts.length === 0) {
+    throw new NotFoundError(msg("ไม่พบผลแบบทดสอบ", "Quiz result not found"));
+  }
+
+  const attempt = attempts[0];
+  const answers = parseJson(attempt.answers);
+  const scores = parseJson(attempt.scores);
+
+  let questions = [];
+  if (answers.length > 0) {
+    const placeholders = answers.map(() => "?").join(", ");
+    [questions] = await executeQuery(
+      `SELECT id, question_type, question_text FROM question WHERE id IN (${placeholders})`,
+      answers.map((answer) => answer.question_id)
+    );
+  }
+  const questionsById = new Map(questions.map((question) => [question.id, question]));
+  const names = await findOccupationNames(scores.map((score) => score.occupation_id));
+
+  sendSuccess(res, {
+    id: attempt.id,
+    user_id: attempt.user_id,
+    created_at: attempt.created_at,
+    top_occupation_id: attempt.top_occupation_id,
+    answers: answers.map((answer) => {
+      const question = questionsById.get(answer.question_id);
+      return {
+        ...answer,
+        question: question ? question.question_text : null,
+        question_type: question ? question.question_type : null,
+      };
+    }),
+    scores: scores.map((score) => ({
+      ...score,
+      name: names.get(score.occupation_id) || null,
+    })),
+  });
+});
@@ -0,0 +1,72 @@
+const { executeQuery } = require("../database/initDatabase.js");
+const { msg, BadRequestError, NotFoundError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+
+const REACTIONS = ['like', 'upvote'];
+
+const TARGET_TABLES = {
+    thread: 'threads',
+    comment: 'comments',
+};
+
+async function countReactions(targetType, targetId) {
+    const [rows] = await executeQuery(
+        'SELECT reaction, COUNT(*) AS count FROM reactions WHERE target_type = ? AND target_id = ? GROUP BY reaction',
+        [targetType, targetId]
+    );
+    const counts = Object.fromEntries(REACTIONS.map((reaction) => [reaction, 0]));
+    for (const row of rows) {
+        counts[row.reaction] = Number(row.count);
+    }
+    return counts;
+}
+
+const NOT_FOUND_MESSAGES = {
+    thread: msg('ไม่พบกระทู้', 'Thread not found'),
+    comment: msg('ไม่พบความคิดเห็น', 'Comment not found'),
+};
+
+// POST /api/threads/:id/reactions และ /api/comments/:id/reactions { reaction: like | upvote }
+function addReaction(targetType) {
+    return asyncHandler(async (req, res) => {
+        const reaction = req.body.reaction || 'like';
+
+        if (!REACTIONS.includes(reaction)) {
+            const names = REACTIONS.join(', ');
+            throw new BadRequestError(msg(`reaction ต้องเป็นหนึ่งใน: ${names}`, `reaction must be one of: ${names}`));
+        }
+
+        const [targets] = await executeQuery(
+            `SELECT id FROM ${TARGET_TABLES[targetType]} WHERE id = ? AND is_hidden = 0`,
+            [req.params.id]
+        );
+        if (targets.length === 0) {
+            throw new NotFoundError(NOT_FOUND_MESSAGES[targetType]);
+        }
+
+        // กดซ้ำไม่นับเพิ่ม
+        await executeQuery(
+            'INSERT IGNORE INTO reactions (user_id, target_type, target_id, reaction) VALUES (?, ?, ?, ?)',
+            [req.user.id, targetType, req.params.id, reaction]
+        );
+
+        sendSuccess(res, { reactions: await countReactions(targetType, req.params.id) });
+    });
+}
+
+// DELETE /api/threads/:id/reactions/:reaction และ /api/comments/:id/reactions/:reaction
+function removeReaction(targetType) {
+    return asyncHandler(async (req, res) => {
+        await executeQuery(
+            'DELETE FROM reactions WHERE user_id = ? AND target_type = ? AND target_id = ? AND reaction = ?',
+            [req.user.id, targetType, req.params.id, req.params.reaction]
+        );
+
+        sendSuccess(res, { reactions: await countReactions(targetType, req.params.id) });
+    });
+}
+
+exports.addThreadReaction = addReaction('thread');
+exports.removeThreadReaction = removeReaction('thread');
+exports.addCommentReaction = addReaction('comment');
+exports.removeCommentReaction = removeReaction('comment');
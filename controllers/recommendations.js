@@ -0,0 +1,168 @@
+const { executeQuery } = require("../database/initDatabase.js");
+const { msg, BadRequestError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+// จำนวนกระทู้ล่าสุดที่นำมาจัดอันดับ
+const THREAD_CANDIDATES = 200;
+
+/**
+ * * น้ำหนักของแต่ละสัญญาณ ความสนใจในอาชีพ = คะแนนแบบทดสอบ (0 - 1) + HISTORY * สัดส่วนวิดีโอที่เคยดูในอาชีพนั้น
+ * * วิดีโอที่ดูค้างไว้ได้ CONTINUE เพิ่ม ความนิยมใช้แค่ตัดสินเมื่อคะแนนอื่นใกล้กัน หรือเมื่อยังไม่มีสัญญาณเลย
+ */
+const WEIGHTS = {
+  history: 0.5,
+  continue: 0.25,
+  popular: 0.1,
+};
+
+// คอลัมน์ JSON อาจถูกส่งกลับมาเป็น string หรือ object ขึ้นกับ driver
+function parseJson(value) {
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+function parseLimit(value) {
+  const limit = value === undefined ? DEFAULT_LIMIT : Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new BadRequestError(
+      msg(`limit ต้องเป็นจำนวนเต็มระหว่าง 1 ถึง ${MAX_LIMIT}`, `limit must be an integer between 1 and ${MAX_LIMIT}`),
+      'INVALID_QUERY'
+    );
+  }
+  return limit;
+}
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * * ความสนใจในแต่ละอาชีพของผู้ใช้ จากผลแบบทดสอบครั้งล่าสุดและวิดีโอที่เคยดู
+ * * คืน { attempt, watched, interests: Map(occupation_id -> { quiz, history }) }
+ */
+async function loadInterests(userId) {
+  const [attempts] = await executeQuery(
+    "SELECT id, scores, created_at FROM quiz_attempts WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 1",
+    [userId]
+  );
+  const [history] = await executeQuery(
+    `SELECT ov.occupation_id, COUNT(*) AS watched
+     FROM video_progress p
+     JOIN occupation_videos ov ON ov.video_id = p.video_id
+     WHERE p.user_id = ?
+     GROUP BY ov.occupation_id`,
+    [userId]
+  );
+
+  const interests = new Map();
+  const interestOf = (occupationId) => {
+    if (!interests.has(occupationId)) {
+      interests.set(occupationId, { quiz: 0, history: 0 });
+    }
+    return interests.get(occupationId);
+  };
+
+  const attempt = attempts[0] || null;
+  if (attempt) {
+    for (const { occupation_id, score } of parseJson(attempt.scores)) {
+      interestOf(occupation_id).quiz = Number(score) / 100;
+    }
+  }
+
+  const maxWatched = Math.max(0, ...history.map((row) => Number(row.watched)));
+  for (const row of history) {
+    interestOf(row.occupation_id).history = Number(row.watched) / maxWatched;
+  }
+
+  return { attempt, watched: history.length > 0, interests };
+}
+
+/**
+ * * หาอาชีพที่ให้คะแนนสูงสุดในบรรดาอาชีพที่ผูกกับรายการนั้น แล้วบวกคะแนนความนิยม
+ * * reasons บอกว่าคะแนนมาจากสัญญาณไหน (quiz, history, continue, popular)
+ */
+function rank(occupationIds, interests, popularity) {
+  let best = { occupation_id: null, quiz: 0, history: 0, score: 0 };
+  for (const occupationId of occupationIds) {
+    const interest = interests.get(occupationId);
+    if (!interest) continue;
+    const score = interest.quiz + WEIGHTS.history * interest.history;
+    if (score > best.score) {
+      best = { occupation_id: occupationId, ...interest, score };
+    }
+  }
+
+  const reasons = [];
+  if (best.quiz > 0) reasons.push('quiz');
+  if (best.history > 0) reasons.push('history');
+
+  return { best, reasons, score: best.score + WEIGHTS.popular * popularity };
+}
+
+const byScore = (a, b) => b.score - a.score || b.id - a.id;
+
+// แปลง "1,3" จาก GROUP_CONCAT เป็น [1, 3]
+const idList = (value) => (value ? String(value).split(',').map(Number) : []);
+
+// GET /api/recommendations?limit= ใช้หลัง requireAuth
+exports.getRecommendations = asyncHandler(async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  const { attempt, watched, interests } = await loadInterests(req.user.id);
+
+  // วิดีโอที่ดูจบแล้วไม่ต้องแนะนำซ้ำ
+  const [videos] = await executeQuery(
+    `SELECT v.id, v.video_title, v.video_path, v.description, v.image, v.view_count,
+       GROUP_CONCAT(ov.occupation_id) AS occupation_ids,
+       MAX(p.position_seconds) AS position_seconds
+     FROM videospath v
+     LEFT JOIN occupation_videos ov ON ov.video_id = v.id
+     LEFT JOIN video_progress p ON p.video_id = v.id AND p.user_id = ?
+     WHERE p.completed_at IS NULL
+     GROUP BY v.id`,
+    [req.user.id]
+  );
+
+  const [threads] = await executeQuery(
+    `SELECT t.id, t.title, t.occupation_id, t.view_count, t.created_at
+     FROM threads t
+     WHERE t.is_hidden = 0
+     ORDER BY t.created_at DESC, t.id DESC
+     LIMIT ?`,
+    [THREAD_CANDIDATES]
+  );
+
+  const maxVideoViews = Math.max(1, ...videos.map((video) => Number(video.view_count) || 0));
+  const rankedVideos = videos.map(({ occupation_ids, position_seconds, ...video }) => {
+    const ranked = rank(idList(occupation_ids), interests, (Number(video.view_count) || 0) / maxVideoViews);
+    let score = ranked.score;
+    if (Number(position_seconds) > 0) {
+      score += WEIGHTS.continue;
+      ranked.reasons.push('continue');
+    }
+    if (ranked.reasons.length === 0) ranked.reasons.push('popular');
+    return {
+      ...video,
+      occupation_id: ranked.best.occupation_id,
+      position_seconds: position_seconds === null ? null : Number(position_seconds),
+      score: round(score),
+      reasons: ranked.reasons,
+    };
+  });
+
+  const maxThreadViews = Math.max(1, ...threads.map((thread) => Number(thread.view_count) || 0));
+  const rankedThreads = threads.map((thread) => {
+    const occupationIds = thread.occupation_id === null ? [] : [thread.occupation_id];
+    const ranked = rank(occupationIds, interests, (Number(thread.view_count) || 0) / maxThreadViews);
+    if (ranked.reasons.length === 0) ranked.reasons.push('popular');
+    return { ...thread, score: round(ranked.score), reasons: ranked.reasons };
+  });
+
+  sendSuccess(res, {
+    basedOn: {
+      attemptId: attempt ? attempt.id : null,
+      quizTakenAt: attempt ? attempt.created_at : null,
+      watchHistory: watched,
+    },
+    videos: rankedVideos.sort(byScore).slice(0, limit),
+    threads: rankedThreads.sort(byScore).slice(0, limit),
+  });
+});
@@ -0,0 +1,100 @@
+const { executeQuery } = require("../database/initDatabase.js");
+const { msg, BadRequestError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+const SNIPPET_RADIUS = 60;
+
+// แหล่งข้อมูลที่ค้นหาได้ คอลัมน์ใน MATCH ต้องตรงกับดัชนีใน migration 007_add_fulltext_indexes และ 017_add_question_fulltext
+// คำถามมีแค่ข้อความเดียว (ไม่มี body) จึงไม่มี snippet
+const SOURCES = {
+  occupations: { table: 'occupation', title: 'name', body: 'description' },
+  videos: { table: 'videospath', title: 'video_title', body: 'description' },
+  threads: { table: 'threads', title: 'title', body: 'content', filter: 'is_hidden = 0' },
+  questions: { table: 'question', title: 'question_text' },
+};
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[char]);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * * ตัดข้อความรอบคำที่ค้นเจอครั้งแรก แล้วครอบคำค้นด้วย <mark>
+ * * ข้อความถูก escape HTML แล้ว แสดงผลด้วย innerHTML ได้
+ */
+function highlight(text, terms) {
+  if (!text) return '';
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'giu');
+  const first = text.search(pattern);
+  const start = first > SNIPPET_RADIUS ? first - SNIPPET_RADIUS : 0;
+  const end = Math.min(text.length, start + SNIPPET_RADIUS * 2);
+
+  const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  return escapeHtml(snippet).replace(
+    new RegExp(terms.map((term) => escapeRegExp(escapeHtml(term))).join('|'), 'giu'),
+    (match) => `<mark>${match}</mark>`
+  );
+}
+
+async function searchSource({ table, title, body, filter }, q, terms, limit) {
+  const columns = body ? `${title}, ${body}` : title;
+  const [rows] = await executeQuery(
+    `SELECT id, ${title} AS title, ${body || 'NULL'} AS body,
+       MATCH(${columns}) AGAINST (? IN NATURAL LANGUAGE MODE) AS relevance
+     FROM ${table}
+     WHERE MATCH(${columns}) AGAINST (? IN NATURAL LANGUAGE MODE)${filter ? ` AND ${filter}` : ''}
+     ORDER BY relevance DESC, id DESC
+     LIMIT ?`,
+    [q, q, limit]
+  );
+
+  return rows.map((row) => ({
+    id: row.id,
+    title: row.title,
+    titleHighlight: highlight(row.title, terms),
+    snippet: highlight(row.body, terms),
+    relevance: Number(row.relevance),
+  }));
+}
+
+// GET /api/search?q=&limit=&types=occupations,videos,threads,questions
+exports.search = asyncHandler(async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+  const types = req.query.types ? String(req.query.types).split(',') : Object.keys(SOURCES);
+
+  // ngram parser ตัดคำทีละ 2 ตัวอักษร คำค้นที่สั้นกว่านี้จะไม่เจออะไร
+  if ([...q].length < 2) {
+    throw new BadRequestError(
+      msg("กรุณาระบุคำค้นอย่างน้อย 2 ตัวอักษร", "Please provide a search keyword of at least 2 characters"),
+      'INVALID_QUERY'
+    );
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new BadRequestError(
+      msg(`limit ต้องเป็นจำนวนเต็มระหว่าง 1 ถึง ${MAX_LIMIT}`, `limit must be an integer between 1 and ${MAX_LIMIT}`),
+      'INVALID_QUERY'
+    );
+  }
+  const unknown = types.filter((type) => !Object.hasOwn(SOURCES, type));
+  if (unknown.length > 0) {
+    const names = Object.keys(SOURCES).join(', ');
+    throw new BadRequestError(msg(`types ต้องเป็น: ${names}`, `types must be any of: ${names}`), 'INVALID_QUERY');
+  }
+
+  const terms = q.split(/\s+/).filter(Boolean);
+  const results = {};
+  for (const type of types) {
+    results[type] = await searchSource(SOURCES[type], q, terms, limit);
+  }
+
+  sendSuccess(res, { query: q, results });
+});
@@ -1,40 +1,185 @@
-const express = require('express');
-const db = require('./database/initDatabase.js');
-const router = express.Router();
-
-// Handler to get threads
-const getThreads = (req, res) => {
-    const query = 'SELECT * FROM threads ORDER BY created_at DESC';
-
-    db.query(query, (err, result) => {
-        if (err) {
-            console.error('Error fetching threads:', err);
-            return res.status(500).json({ message: 'Failed to retrieve threads' });
-        }
-        res.status(200).json(result);
-    });
+const { executeQuery } = require("../database/initDatabase.js");
+const { parseListQuery, paginate, likePattern } = require("../utils/pagination.js");
+const { recordAction } = require("./moderation.js");
+const { formatAuthor } = require("../utils/author.js");
+const { msg, BadRequestError, ForbiddenError, NotFoundError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+
+const THREAD_SORTS = {
+    newest: { key: 'created_at', direction: 'DESC' },
+    most_commented: { key: 'comment_count', direction: 'DESC' },
+    most_viewed: { key: 'view_count', direction: 'DESC' },
+    most_reacted: { key: 'reaction_count', direction: 'DESC' },
 };
 
-// Handler to create a new thread
-const postThreads = (req, res) => {
-    const { title, content } = req.body;
+const THREADS_WITH_COUNTS = `(
+    SELECT t.*,
+        (SELECT COUNT(*) FROM comments c WHERE c.thread_id = t.id AND c.is_hidden = 0) AS comment_count,
+        (SELECT COUNT(*) FROM reactions r WHERE r.target_type = 'thread' AND r.target_id = t.id) AS reaction_count,
+        u.fname AS author_fname,
+        u.avatar AS author_avatar,
+        ac.user_id AS accepted_user_id,
+        ac.user_name AS accepted_user_name,
+        ac.comment AS accepted_comment,
+        ac.created_at AS accepted_created_at,
+        au.fname AS accepted_author_fname,
+        au.avatar AS accepted_author_avatar
+    FROM threads t
+    LEFT JOIN users u ON u.id = t.user_id
+    LEFT JOIN comments ac ON ac.id = t.accepted_comment_id AND ac.is_hidden = 0
+    LEFT JOIN users au ON au.id = ac.user_id
+) AS list`;
+
+// รวมคอลัมน์ author_* เป็น author และ accepted_* ของคำตอบที่ยอมรับเป็น accepted_answer
+function formatThread(row) {
+    const {
+        author_fname, author_avatar,
+        accepted_user_id, accepted_user_name, accepted_comment, accepted_created_at,
+        accepted_author_fname, accepted_author_avatar,
+        ...thread
+    } = row;
+
+    thread.author = formatAuthor(thread.user_id, author_fname, author_avatar);
+    thread.accepted_answer = accepted_comment === null || accepted_comment === undefined
+        ? null
+        : {
+            id: thread.accepted_comment_id,
+            author: formatAuthor(accepted_user_id, accepted_author_fname, accepted_author_avatar, accepted_user_name),
+            comment: accepted_comment,
+            created_at: accepted_created_at,
+        };
+    return thread;
+}
+
+// occupation_id ที่ไม่มีอยู่จริง (FK ของ threads.occupation_id)
+const unknownOccupation = () => new BadRequestError(msg('ไม่พบอาชีพที่ระบุใน occupation_id', 'occupation_id does not exist'), 'UNKNOWN_OCCUPATION');
 
-    if (!title || !content) {
-        return res.status(400).json({ message: 'Title and content are required' });
+// Handler to get threads: ?limit=&cursor=&sort=newest|most_commented|most_viewed|most_reacted&q=&occupation_id=
+exports.getThreads = asyncHandler(async (req, res) => {
+    const list = parseListQuery(req.query, THREAD_SORTS, 'newest');
+
+    const where = ['list.is_hidden = 0'];
+    const params = [];
+    if (list.q) {
+        where.push('(list.title LIKE ? OR list.content LIKE ?)');
+        params.push(likePattern(list.q), likePattern(list.q));
+    }
+    if (req.query.occupation_id !== undefined) {
+        const occupationId = Number(req.query.occupation_id);
+        if (!Number.isInteger(occupationId) || occupationId < 1) {
+            throw new BadRequestError(msg('occupation_id ต้องเป็นตัวเลขจำนวนเต็มบวก', 'occupation_id must be a positive integer'), 'INVALID_QUERY');
+        }
+        where.push('list.occupation_id = ?');
+        params.push(occupationId);
     }
 
-    const query = 'INSERT INTO threads (title, content, created_at) VALUES (?, ?, NOW())';
-    db.query(query, [title, content], (err, result) => {
-        if (err) {
-            console.error('Error creating thread:', err);
-            return res.status(500).json({ message: 'Failed to create thread' });
+    const page = await paginate(executeQuery, { from: THREADS_WITH_COUNTS, where, params, list });
+    sendSuccess(res, { ...page, items: page.items.map(formatThread) });
+});
+
+// เปิดอ่านกระทู้ นับเป็นการเข้าชมหนึ่งครั้ง
+exports.getThreadById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const [results] = await executeQuery(`SELECT * FROM ${THREADS_WITH_COUNTS} WHERE list.id = ? AND list.is_hidden = 0`, [id]);
+
+    if (results.length === 0) {
+        throw new NotFoundError(msg('ไม่พบกระทู้', 'Thread not found'));
+    }
+
+    // นับเฉพาะการเปิดกระทู้ที่ผู้ใช้เห็นได้จริง ค่าที่ตอบกลับรวมการเปิดครั้งนี้ด้วย
+    await executeQuery('UPDATE threads SET view_count = view_count + 1 WHERE id = ?', [id]);
+    const thread = formatThread(results[0]);
+    thread.view_count = Number(thread.view_count) + 1;
+    sendSuccess(res, thread);
+});
+
+// Handler to create a new thread (occupation_id ไม่บังคับ ใช้จัดกลุ่มกระทู้ตามอาชีพ)
+exports.postThreads = asyncHandler(async (req, res) => {
+    const { title, content, occupation_id = null } = req.body;
+
+    try {
+        const query = 'INSERT INTO threads (title, content, user_id, occupation_id) VALUES (?, ?, ?, ?)';
+        const [result] = await executeQuery(query, [title, content, req.user ? req.user.id : null, occupation_id]);
+        sendSuccess(res, { threadId: result.insertId }, 201);
+    } catch (error) {
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            throw unknownOccupation();
         }
-        res.status(201).json({ message: 'Thread created successfully', threadId: result.insertId });
-    });
-};
+        throw error;
+    }
+});
+
+// ตรวจว่ากระทู้มีอยู่และเป็นของผู้ใช้ที่เข้าสู่ระบบ
+async function ensureThreadOwner(req) {
+    const [threads] = await executeQuery('SELECT id, user_id FROM threads WHERE id = ?', [req.params.id]);
+
+    if (threads.length === 0) {
+        throw new NotFoundError(msg('ไม่พบกระทู้', 'Thread not found'));
+    }
+    if (threads[0].user_id !== req.user.id) {
+        throw new ForbiddenError(msg('แก้ไขได้เฉพาะกระทู้ของตัวเอง', 'You can only modify your own threads'));
+    }
+}
+
+// ผู้เขียนแก้ไขกระทู้ของตัวเอง (ส่ง occupation_id เป็น null เพื่อเอาอาชีพออก)
+exports.updateThread = asyncHandler(async (req, res) => {
+    const { title, content, occupation_id } = req.body;
+
+    if (!title && !content && occupation_id === undefined) {
+        throw new BadRequestError(msg('กรุณาระบุหัวข้อ เนื้อหา หรืออาชีพ', 'Title, content or occupation_id is required'));
+    }
+
+    await ensureThreadOwner(req);
+
+    try {
+        await executeQuery(
+            'UPDATE threads SET title = COALESCE(?, title), content = COALESCE(?, content) WHERE id = ?',
+            [title || null, content || null, req.params.id]
+        );
+        if (occupation_id !== undefined) {
+            await executeQuery('UPDATE threads SET occupation_id = ? WHERE id = ?', [occupation_id, req.params.id]);
+        }
+    } catch (error) {
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            throw unknownOccupation();
+        }
+        throw error;
+    }
+    await recordAction(req.user.id, 'edit', 'thread', req.params.id);
+
+    sendSuccess(res);
+});
 
-// Routes
-router.get('/api/threads', getThreads);
-router.post('/api/threads_post', postThreads);
+// ผู้เขียนลบกระทู้ของตัวเอง (ความคิดเห็นถูกลบตามด้วย ON DELETE CASCADE)
+exports.deleteThread = asyncHandler(async (req, res) => {
+    await ensureThreadOwner(req);
+
+    await executeQuery('DELETE FROM threads WHERE id = ?', [req.params.id]);
+    await recordAction(req.user.id, 'author_delete', 'thread', req.params.id);
+
+    sendSuccess(res);
+});
+
+// ผู้ตั้งกระทู้เลือกความคิดเห็นเป็นคำตอบที่ยอมรับ (ส่ง comment_id เป็น null เพื่อยกเลิก)
+exports.acceptAnswer = asyncHandler(async (req, res) => {
+    const { comment_id } = req.body;
+
+    if (comment_id === undefined) {
+        throw new BadRequestError(msg('กรุณาระบุ comment_id', 'comment_id is required'));
+    }
+
+    await ensureThreadOwner(req);
+
+    if (comment_id !== null) {
+        const [comments] = await executeQuery(
+            'SELECT id FROM comments WHERE id = ? AND thread_id = ? AND is_hidden = 0',
+            [comment_id, req.params.id]
+        );
+        if (comments.length === 0) {
+            throw new BadRequestError(msg('comment_id ต้องเป็นความคิดเห็นในกระทู้นี้', 'comment_id must be a comment in this thread'));
+        }
+    }
 
-module.exports = router;
+    await executeQuery('UPDATE threads SET accepted_comment_id = ? WHERE id = ?', [comment_id, req.params.id]);
+    sendSuccess(res, { accepted_comment_id: comment_id });
+});
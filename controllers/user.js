@@ -1,99 +1,289 @@
 const bcrypt = require('bcrypt');
 const { executeQuery } = require("../database/initDatabase.js");
+const { hashToken } = require("../auth/token.js");
+const { issueTokens, revokeAllRefreshTokens } = require("../auth/session.js");
+const { verifyLineToken } = require("../auth/lineVerifier.js");
+const { msg, BadRequestError, ConflictError, NotFoundError, UnauthorizedError, LockedError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+const { sendVerificationEmail } = require("./account.js");
 
-exports.getUserById = async (request, res) => {
-  try {
-    const id = request.params.id;
-    const [results] = await executeQuery("SELECT * FROM users WHERE id = ?", [id]);
-    
-    if (results.length === 0) {
-      return res.status(404).json({ message: "User not found" });
-    }
-    
-    // Remove sensitive information
-    const user = results[0];
-    delete user.password;
-    
-    res.json({
-      message: "User found successfully",
-      user: user
-    });
-  } catch (error) {
-    console.error('Error fetching user:', error);
-    res.status(500).json({ message: "Internal server error" });
-  }
-};
-
-exports.loginUser = async (request, res) => {
-  try {
-    const { email, password } = request.body;
+// ใส่รหัสผ่านผิดครบ LOGIN_MAX_ATTEMPTS ครั้งติดกัน บัญชีจะถูกล็อก LOGIN_LOCKOUT_SECONDS วินาที
+const MAX_FAILED_LOGINS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCKOUT_SECONDS = Number(process.env.LOGIN_LOCKOUT_SECONDS) || 15 * 60;
 
-    if (!email || !password) {
-      return res.status(400).json({ message: "Please provide email and password" });
-    }
+const invalidCredentials = () => new UnauthorizedError(
+  msg("อีเมลหรือรหัสผ่านไม่ถูกต้อง", "Invalid email or password"),
+  'INVALID_CREDENTIALS'
+);
+const invalidRefreshToken = () => new UnauthorizedError(
+  msg("refresh token ไม่ถูกต้องหรือหมดอายุแล้ว", "Invalid or expired refresh token"),
+  'INVALID_REFRESH_TOKEN'
+);
+const invalidLineToken = () => new UnauthorizedError(
+  msg("LINE ID token ไม่ถูกต้อง", "Invalid LINE ID token"),
+  'INVALID_LINE_TOKEN'
+);
 
-    // Get user by email
-    const [users] = await executeQuery("SELECT * FROM users WHERE email = ?", [email]);
-    
-    if (users.length === 0) {
-      return res.status(401).json({ message: "Invalid email or password" });
-    }
+const accountLocked = (retryAfter) => new LockedError(
+  msg("ใส่รหัสผ่านผิดหลายครั้งเกินไป บัญชีถูกล็อกชั่วคราว", "Too many failed login attempts, the account is temporarily locked"),
+  'ACCOUNT_LOCKED',
+  retryAfter
+);
 
-    const user = users[0];
-    
-    // Compare password
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    
-    if (!isValidPassword) {
-      return res.status(401).json({ message: "Invalid email or password" });
-    }
+// ตัดข้อมูลที่ไม่ควรส่งออกไป (รหัสผ่านและสถานะการล็อก)
+function publicUser(user) {
+  delete user.password;
+  delete user.failed_login_attempts;
+  delete user.locked_until;
+  return user;
+}
+
+// วินาทีที่บัญชียังถูกล็อกอยู่ (คำนวณในฐานข้อมูลเพื่อไม่ให้ขึ้นกับ timezone ของเซิฟเวอร์)
+async function lockRemaining(user) {
+  if (!user.locked_until) return 0;
+
+  const [rows] = await executeQuery(
+    "SELECT TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS remaining FROM users WHERE id = ?",
+    [user.id]
+  );
+  return rows.length > 0 ? Math.max(Number(rows[0].remaining), 0) : 0;
+}
+
+// นับครั้งที่ใส่รหัสผ่านผิด ครบแล้วล็อกบัญชีและเริ่มนับใหม่ (locked_until ต้องมาก่อนเพราะ MySQL ใช้ค่าใหม่ในคอลัมน์ถัดไป)
+async function recordFailedLogin(userId) {
+  await executeQuery(
+    `UPDATE users SET
+       locked_until = IF(failed_login_attempts + 1 >= ?, DATE_ADD(NOW(), INTERVAL ? SECOND), locked_until),
+       failed_login_attempts = IF(failed_login_attempts + 1 >= ?, 0, failed_login_attempts + 1)
+     WHERE id = ?`,
+    [MAX_FAILED_LOGINS, LOCKOUT_SECONDS, MAX_FAILED_LOGINS, userId]
+  );
+}
+
+exports.getUserById = asyncHandler(async (request, res) => {
+  const id = request.params.id;
+  const [results] = await executeQuery("SELECT * FROM users WHERE id = ?", [id]);
+
+  if (results.length === 0) {
+    throw new NotFoundError(msg("ไม่พบผู้ใช้", "User not found"));
+  }
+
+  // Remove sensitive information
+  sendSuccess(res, publicUser(results[0]));
+});
+
+exports.loginUser = asyncHandler(async (request, res) => {
+  const { email, password } = request.body;
+
+  // Get user by email
+  const [users] = await executeQuery("SELECT * FROM users WHERE email = ?", [email]);
+
+  if (users.length === 0) {
+    throw invalidCredentials();
+  }
+
+  const user = users[0];
 
-    // Remove sensitive information
-    delete user.password;
-    
-    res.json({
-      message: "Login successful",
-      user: user
-    });
-  } catch (error) {
-    console.error('Error during login:', error);
-    res.status(500).json({ message: "Internal server error" });
+  // บัญชีที่สมัครผ่าน LINE อย่างเดียวจะไม่มีรหัสผ่าน
+  if (!user.password) {
+    throw invalidCredentials();
   }
-};
 
-exports.createUser = async (req, res) => {
+  // บัญชีที่ถูกล็อกไม่ตรวจรหัสผ่านเลย แม้จะใส่ถูกก็ตาม
+  const locked = await lockRemaining(user);
+  if (locked > 0) {
+    throw accountLocked(locked);
+  }
+
+  // Compare password
+  const isValidPassword = await bcrypt.compare(password, user.password);
+
+  if (!isValidPassword) {
+    await recordFailedLogin(user.id);
+    throw invalidCredentials();
+  }
+
+  if (user.failed_login_attempts > 0 || user.locked_until) {
+    await executeQuery("UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?", [user.id]);
+  }
+
+  // Remove sensitive information
+  publicUser(user);
+
+  sendSuccess(res, { user, ...(await issueTokens(user)) });
+});
+
+exports.createUser = asyncHandler(async (req, res) => {
+  const { email, password, lname, fname } = req.body;
+
+  // Check if user already exists
+  const [existingUsers] = await executeQuery(
+    "SELECT * FROM users WHERE email = ?",
+    [email]
+  );
+
+  if (existingUsers.length > 0) {
+    throw new ConflictError(msg("อีเมลนี้ถูกใช้สมัครแล้ว", "User already exists"), 'EMAIL_TAKEN');
+  }
+
+  // Hash password
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  // Create user
+  const [result] = await executeQuery(
+    "INSERT INTO users (email, password, lname, fname) VALUES (?, ?, ?, ?)",
+    [email, hashedPassword, lname, fname]
+  );
+
+  // ส่งไม่สำเร็จไม่ทำให้สมัครไม่สำเร็จ ผู้ใช้ขอส่งใหม่ได้ที่ /api/email/verify/resend
   try {
-    const { email, password, lname, fname } = req.body;
+    await sendVerificationEmail({ id: result.insertId, email });
+  } catch (err) {
+    req.log.error('verification email failed', { err, userId: result.insertId });
+  }
 
-    if (!email || !password || !lname || !fname) {
-      return res.status(400).json({ message: "All fields are required" });
-    }
+  sendSuccess(res, { userId: result.insertId }, 201);
+});
+
+exports.refreshToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
 
-    // Check if user already exists
-    const [existingUsers] = await executeQuery(
-      "SELECT * FROM users WHERE email = ?",
-      [email]
+  const [tokens] = await executeQuery(
+    "SELECT * FROM refresh_tokens WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()",
+    [hashToken(refreshToken)]
+  );
+
+  if (tokens.length === 0) {
+    throw invalidRefreshToken();
+  }
+
+  const [users] = await executeQuery("SELECT * FROM users WHERE id = ?", [tokens[0].user_id]);
+
+  if (users.length === 0) {
+    throw invalidRefreshToken();
+  }
+
+  // refresh token ใช้ได้ครั้งเดียว เพิกถอนตัวเดิมก่อนออกตัวใหม่ ถ้าคำขออื่นเพิกถอนไปก่อนแล้ว (ใช้ซ้ำพร้อมกัน) ถือว่าไม่ถูกต้อง
+  const [revoked] = await executeQuery(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+    [tokens[0].id]
+  );
+  if (revoked.affectedRows !== 1) {
+    throw invalidRefreshToken();
+  }
+
+  sendSuccess(res, await issueTokens(publicUser(users[0])));
+});
+
+// ใช้หลัง requireAuth: เพิกถอน access token ปัจจุบันและ refresh token ที่ส่งมา (หรือทั้งหมดถ้า allDevices)
+exports.logoutUser = asyncHandler(async (req, res) => {
+  const { refreshToken, allDevices } = req.body;
+
+  await executeQuery(
+    "INSERT IGNORE INTO revoked_tokens (jti, expires_at) VALUES (?, FROM_UNIXTIME(?))",
+    [req.token.jti, req.token.exp]
+  );
+
+  if (allDevices) {
+    await revokeAllRefreshTokens(req.user.id);
+  } else if (refreshToken) {
+    await executeQuery(
+      "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND token_hash = ? AND revoked_at IS NULL",
+      [req.user.id, hashToken(refreshToken)]
     );
+  }
 
-    if (existingUsers.length > 0) {
-      return res.status(409).json({ message: "User already exists" });
-    }
+  sendSuccess(res);
+});
+
+// เข้าสู่ระบบด้วย LIFF ID token ถ้ายังไม่มีบัญชีจะสร้างให้ใหม่
+exports.loginWithLine = asyncHandler(async (req, res) => {
+  const profile = await verifyLineToken(req.body.idToken);
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+  if (!profile) {
+    throw invalidLineToken();
+  }
+
+  let [users] = await executeQuery("SELECT * FROM users WHERE line_user_id = ?", [profile.sub]);
+  let created = false;
+
+  if (users.length === 0) {
+    // อีเมลนี้มีบัญชีอยู่แล้ว ให้เข้าสู่ระบบด้วยอีเมลแล้วเชื่อม LINE แทนการสร้างบัญชีซ้ำ
+    if (profile.email) {
+      const [existingUsers] = await executeQuery("SELECT id FROM users WHERE email = ?", [profile.email]);
+      if (existingUsers.length > 0) {
+        throw new ConflictError(msg(
+          "อีเมลนี้มีบัญชีอยู่แล้ว กรุณาเข้าสู่ระบบแล้วเชื่อมบัญชี LINE",
+          "Email already registered, please log in and link your LINE account"
+        ), 'EMAIL_TAKEN');
+      }
+    }
 
-    // Create user
     const [result] = await executeQuery(
-      "INSERT INTO users (email, password, lname, fname) VALUES (?, ?, ?, ?)",
-      [email, hashedPassword, lname, fname]
+      "INSERT INTO users (email, password, lname, fname, line_user_id) VALUES (?, NULL, ?, ?, ?)",
+      [profile.email, "", profile.name || "", profile.sub]
     );
+    [users] = await executeQuery("SELECT * FROM users WHERE id = ?", [result.insertId]);
+    created = true;
+  }
+
+  const user = publicUser(users[0]);
+
+  sendSuccess(res, { user, ...(await issueTokens(user)) }, created ? 201 : 200);
+});
+
+// ใช้หลัง requireAuth: เชื่อมบัญชี LINE เข้ากับบัญชีอีเมลที่เข้าสู่ระบบอยู่
+exports.linkLine = asyncHandler(async (req, res) => {
+  const profile = await verifyLineToken(req.body.idToken);
+
+  if (!profile) {
+    throw invalidLineToken();
+  }
+
+  const [linkedUsers] = await executeQuery("SELECT id FROM users WHERE line_user_id = ?", [profile.sub]);
+
+  if (linkedUsers.length > 0 && linkedUsers[0].id !== req.user.id) {
+    throw new ConflictError(msg("บัญชี LINE นี้เชื่อมกับผู้ใช้อื่นแล้ว", "LINE account is already linked to another user"), 'LINE_ALREADY_LINKED');
+  }
 
-    res.status(201).json({
-      message: "User created successfully",
-      userId: result.insertId
-    });
-  } catch (error) {
-    console.error('Error creating user:', error);
-    res.status(500).json({ message: "Internal server error" });
+  await executeQuery("UPDATE users SET line_user_id = ? WHERE id = ?", [profile.sub, req.user.id]);
+
+  sendSuccess(res);
+});
+
+// กระทู้และความคิดเห็นล่าสุดของผู้ใช้ (GET /api/users/:id/activity?limit=)
+exports.getUserActivity = asyncHandler(async (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw new BadRequestError(msg("limit ต้องเป็นจำนวนเต็มระหว่าง 1 ถึง 100", "limit must be an integer between 1 and 100"), 'INVALID_QUERY');
   }
-};
+
+  const [users] = await executeQuery("SELECT id, fname, avatar FROM users WHERE id = ?", [req.params.id]);
+
+  if (users.length === 0) {
+    throw new NotFoundError(msg("ไม่พบผู้ใช้", "User not found"));
+  }
+
+  const [threads] = await executeQuery(
+    `SELECT id, title, content, created_at,
+       (SELECT COUNT(*) FROM comments c WHERE c.thread_id = threads.id AND c.is_hidden = 0) AS comment_count
+     FROM threads
+     WHERE user_id = ? AND is_hidden = 0
+     ORDER BY created_at DESC, id DESC
+     LIMIT ?`,
+    [users[0].id, limit]
+  );
+
+  const [comments] = await executeQuery(
+    `SELECT c.id, c.thread_id, c.parent_id, c.comment, c.created_at, t.title AS thread_title
+     FROM comments c
+     JOIN threads t ON t.id = c.thread_id
+     WHERE c.user_id = ? AND c.is_hidden = 0 AND t.is_hidden = 0
+     ORDER BY c.created_at DESC, c.id DESC
+     LIMIT ?`,
+    [users[0].id, limit]
+  );
+
+  sendSuccess(res, { user: users[0], threads, comments });
+});
@@ -1,26 +1,177 @@
-const { databaseConnection } = require("../database/initDatabase.js");
-const express = require('express');
-const router = express.Router();
+const { executeQuery } = require("../database/initDatabase.js");
+const { parseListQuery, paginate, likePattern } = require("../utils/pagination.js");
+const { msg, BadRequestError, NotFoundError } = require("../errors/AppError.js");
+const { sendSuccess, asyncHandler } = require("../utils/response.js");
+
+const VIDEO_SORTS = {
+    newest: { key: 'created_at', direction: 'DESC' },
+    most_viewed: { key: 'view_count', direction: 'DESC' },
+    most_completed: { key: 'avg_completion', direction: 'DESC' },
+};
+
+// ดูถึงสัดส่วนนี้ของความยาววิดีโอถือว่าดูจบ (ช่วงท้ายมักเป็นเครดิต)
+const COMPLETION_THRESHOLD = 0.9;
+
+/**
+ * * วิดีโอพร้อมสถิติจาก video_progress: viewer_count คือจำนวนผู้ใช้ที่เคยดู play_count คือจำนวนครั้งที่เริ่มเล่น
+ * * avg_completion คือสัดส่วนที่ดูไปได้ไกลที่สุดของแต่ละคนเฉลี่ยกัน (0 - 1)
+ */
+const VIDEO_LIST = `(
+    SELECT v.*,
+      COALESCE(p.viewer_count, 0) AS viewer_count,
+      COALESCE(p.play_count, 0) AS play_count,
+      COALESCE(p.avg_completion, 0) AS avg_completion
+    FROM videospath v
+    LEFT JOIN (
+      SELECT video_id, COUNT(*) AS viewer_count, SUM(play_count) AS play_count,
+        ROUND(AVG(LEAST(max_position_seconds / duration_seconds, 1)), 4) AS avg_completion
+      FROM video_progress
+      GROUP BY video_id
+    ) p ON p.video_id = v.id
+) AS list`;
+
+const USER_VIDEO_STATUSES = {
+    in_progress: 'list.completed_at IS NULL',
+    completed: 'list.completed_at IS NOT NULL',
+    all: null,
+};
+
+const USER_VIDEO_SORTS = {
+    recent: { key: 'last_watched_at', direction: 'DESC' },
+};
+
+// SUM/AVG ได้ DECIMAL ซึ่ง mysql2 ส่งกลับเป็น string
+function withStats(video) {
+    return {
+        ...video,
+        play_count: Number(video.play_count),
+        avg_completion: Number(video.avg_completion),
+    };
+}
+
+function progressOf(row) {
+    return {
+        video_id: row.video_id,
+        position_seconds: row.position_seconds,
+        max_position_seconds: row.max_position_seconds,
+        duration_seconds: row.duration_seconds,
+        completion: Math.min(row.max_position_seconds / row.duration_seconds, 1),
+        completed: row.completed_at !== null,
+        play_count: row.play_count,
+        last_watched_at: row.last_watched_at,
+    };
+}
+
+// ฟังก์ชั่น นำวิดีโอออกมาโผล่ใน Front-End: ?limit=&cursor=&sort=newest|most_viewed|most_completed&q=
+exports.getAllVideos = asyncHandler(async (request, res) => {
+    const list = parseListQuery(request.query, VIDEO_SORTS, 'newest');
+
+    const where = [];
+    const params = [];
+    if (list.q) {
+        where.push('(list.video_title LIKE ? OR list.description LIKE ?)');
+        params.push(likePattern(list.q), likePattern(list.q));
+    }
+
+    const page = await paginate(executeQuery, { from: VIDEO_LIST, where, params, list });
+    sendSuccess(res, { ...page, items: page.items.map(withStats) });
+});
+
+// เปิดดูวิดีโอ นับเป็นการเข้าชมหนึ่งครั้ง (เฉพาะวิดีโอที่มีอยู่จริง)
+exports.getVideoById = asyncHandler(async (request, res) => {
+    const { id } = request.params;
+    const [results] = await executeQuery("SELECT * FROM videospath WHERE id = ?", [id]);
+
+    if (results.length === 0) {
+        throw new NotFoundError(msg("ไม่พบวิดีโอ", "Video not found"));
+    }
+
+    await executeQuery("UPDATE videospath SET view_count = view_count + 1 WHERE id = ?", [id]);
+    const video = results[0];
+    video.view_count = Number(video.view_count) + 1;
+    sendSuccess(res, video);
+});
+
+exports.createVideo = asyncHandler(async (req, res) => {
+    const { video_title, video_path, description, image } = req.body;
+
+    const query = `INSERT INTO videospath (video_title, video_path, description, image) VALUES (?, ?, ?, ?)`;
+    const [result] = await executeQuery(query, [video_title, video_path, description, image || null]);
+    sendSuccess(res, { videoId: result.insertId }, 201);
+});
+
+// POST /api/videos/:id/progress ใช้หลัง requireAuth: event เป็น start ตอนเริ่มเล่น (นับเป็นการเล่นหนึ่งครั้ง) หรือ progress ระหว่างดู
+exports.recordProgress = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { event = 'progress' } = req.body;
+    const duration = Math.round(req.body.duration);
+    const position = Math.min(Math.floor(req.body.position), duration);
+    const completed = position >= duration * COMPLETION_THRESHOLD;
 
-// ฟังก์ชั่น นำวิดีโอออกมาโผล่ใน Front-End
-exports.getAllVideos = async (request, res) => {
-    const connection = databaseConnection();
     try {
-        connection.query("SELECT * FROM videospath", (error, results) => {
-            if (results.length === 0) {
-                res.json({ message: "Not Found" });
-            } else {
-                res.json({
-                    message: "Find videos success",
-                    results: results,
-                });
-            }
-            if (error) {
-                res.json({ message: error.message, error: error });
-            }
-        });
+        await executeQuery(
+            `INSERT INTO video_progress
+               (user_id, video_id, position_seconds, max_position_seconds, duration_seconds, play_count, completed_at, last_watched_at)
+             VALUES (?, ?, ?, ?, ?, ?, IF(?, NOW(), NULL), NOW())
+             ON DUPLICATE KEY UPDATE
+               position_seconds = VALUES(position_seconds),
+               max_position_seconds = GREATEST(max_position_seconds, VALUES(max_position_seconds)),
+               duration_seconds = VALUES(duration_seconds),
+               play_count = play_count + VALUES(play_count),
+               completed_at = COALESCE(completed_at, VALUES(completed_at)),
+               last_watched_at = NOW()`,
+            [req.user.id, id, position, position, duration, event === 'start' ? 1 : 0, completed]
+        );
     } catch (error) {
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            throw new NotFoundError(msg("ไม่พบวิดีโอ", "Video not found"));
+        }
+        throw error;
+    }
+
+    const [rows] = await executeQuery(
+        "SELECT * FROM video_progress WHERE user_id = ? AND video_id = ?",
+        [req.user.id, id]
+    );
+    sendSuccess(res, progressOf(rows[0]));
+});
 
+// GET /api/users/:id/videos?status=in_progress|completed|all&limit=&cursor= ดูต่อจากที่ค้างไว้ เรียงตามที่ดูล่าสุด
+exports.getUserVideos = asyncHandler(async (req, res) => {
+    const list = parseListQuery(req.query, USER_VIDEO_SORTS, 'recent');
+    const status = req.query.status || 'in_progress';
+
+    if (!Object.hasOwn(USER_VIDEO_STATUSES, status)) {
+        const names = Object.keys(USER_VIDEO_STATUSES).join(', ');
+        throw new BadRequestError(msg(`status ต้องเป็นหนึ่งใน: ${names}`, `status must be one of: ${names}`), 'INVALID_QUERY');
     }
-};
 
+    const where = ['list.user_id = ?'];
+    const params = [req.params.id];
+    if (USER_VIDEO_STATUSES[status]) {
+        where.push(USER_VIDEO_STATUSES[status]);
+    }
+
+    const page = await paginate(executeQuery, {
+        from: `(
+            SELECT v.id, v.video_title, v.video_path, v.description, v.image, p.*
+            FROM video_progress p
+            JOIN videospath v ON v.id = p.video_id
+        ) AS list`,
+        where,
+        params,
+        list,
+    });
+
+    sendSuccess(res, {
+        ...page,
+        items: page.items.map((item) => ({
+            id: item.id,
+            video_title: item.video_title,
+            video_path: item.video_path,
+            description: item.description,
+            image: item.image,
+            progress: progressOf(item),
+        })),
+    });
+});
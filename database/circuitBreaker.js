@@ -0,0 +1,108 @@
+/**
+ * * circuit breaker ของการเชื่อมต่อฐานข้อมูล
+ * * ติดต่อไม่ได้ติดกัน failureThreshold ครั้งจะเปิด circuit (คำขอถูกปฏิเสธทันทีโดยไม่รอ timeout)
+ * * ระหว่างเปิดจะเรียก probe อยู่เบื้องหลังแบบ exponential backoff จนกว่าจะสำเร็จแล้วปิด circuit เอง
+ */
+function createCircuitBreaker({
+  probe,
+  failureThreshold = 3,
+  minDelay = 1000,
+  maxDelay = 30000,
+  onOpen = () => {},
+  onProbeFailed = () => {},
+  onClose = () => {},
+}) {
+  let state = 'closed';
+  let failures = 0;
+  let delay = minDelay;
+  let timer = null;
+  let nextProbeAt = null;
+  let stopped = false;
+
+  function schedule() {
+    if (stopped) return;
+    nextProbeAt = Date.now() + delay;
+    timer = setTimeout(runProbe, delay);
+    timer.unref();
+  }
+
+  async function runProbe() {
+    timer = null;
+    try {
+      await probe();
+      close();
+    } catch (error) {
+      delay = Math.min(delay * 2, maxDelay);
+      onProbeFailed(error, delay);
+      schedule();
+    }
+  }
+
+  function open(error) {
+    if (state === 'open') return;
+    state = 'open';
+    delay = minDelay;
+    onOpen(error, delay);
+    schedule();
+  }
+
+  function close() {
+    if (state === 'closed') return;
+    state = 'closed';
+    failures = 0;
+    nextProbeAt = null;
+    onClose();
+  }
+
+  function clearTimer() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+
+    isOpen() {
+      return state === 'open';
+    },
+
+    recordSuccess() {
+      failures = 0;
+    },
+
+    recordFailure(error) {
+      failures += 1;
+      if (failures >= failureThreshold) open(error);
+    },
+
+    // เปิด circuit ทันที เช่น ตอนเริ่มเซิฟเวอร์แล้วเชื่อมต่อไม่ได้
+    trip(error) {
+      open(error);
+    },
+
+    // วินาทีที่ควรรอก่อนลองใหม่ (ใช้เป็น header Retry-After)
+    retryAfterSeconds() {
+      if (state !== 'open' || nextProbeAt === null) return 1;
+      return Math.max(1, Math.ceil((nextProbeAt - Date.now()) / 1000));
+    },
+
+    // หยุด probe เบื้องหลัง (ตอนปิดเซิฟเวอร์)
+    stop() {
+      stopped = true;
+      clearTimer();
+    },
+
+    reset() {
+      clearTimer();
+      stopped = false;
+      state = 'closed';
+      failures = 0;
+      delay = minDelay;
+      nextProbeAt = null;
+    },
+  };
+}
+
+module.exports = { createCircuitBreaker };
@@ -1,4 +1,8 @@
 const mysql = require('mysql2/promise');
+const { logger } = require('../logger/logger.js');
+const { registry, dbReconnectAttempts } = require('../metrics/metrics.js');
+const { msg, ServiceUnavailableError } = require('../errors/AppError.js');
+const { createCircuitBreaker } = require('./circuitBreaker.js');
 
 const dbConfig = {
   host: process.env.MYSQLHOST,
@@ -9,111 +13,217 @@ const dbConfig = {
   ssl: {
     rejectUnauthorized: false
   },
-  connectTimeout: 10000,
-  connectionLimit: 1,
-  maxIdle: 1,
+  connectTimeout: 20000,
+  waitForConnections: true,
+  connectionLimit: 3,
+  queueLimit: 0,
   enableKeepAlive: true
 };
 
-let connection = null;
-let isConnecting = false;
+const PING_INTERVAL = 50000;
 
-async function validateConnection() {
-  try {
-    if (!connection) return false;
-    await connection.query('SELECT 1');
-    return true;
-  } catch (err) {
-    return false;
+// error ที่หมายถึงติดต่อฐานข้อมูลไม่ได้ (ไม่ใช่ SQL ผิด) นับเป็นความล้มเหลวของ circuit breaker
+const CONNECTION_ERRORS = new Set([
+  'PROTOCOL_CONNECTION_LOST',
+  'PROTOCOL_ENQUEUE_AFTER_FATAL_ERROR',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'EAI_AGAIN',
+  'ER_CON_COUNT_ERROR',
+]);
+
+// pool ของ mysql2 หรือฐานข้อมูลที่ถูกแทนที่ด้วย setDatabase (ต้องมีเมธอด query เหมือน pool)
+let db = null;
+// pool ที่สร้างเองถึงจะทิ้งแล้วสร้างใหม่ได้ ฐานข้อมูลจาก setDatabase ใช้ตัวเดิมเสมอ
+let ownsPool = false;
+let keepAliveTimer = null;
+
+function createPool() {
+  if (!process.env.MYSQLHOST || !process.env.MYSQLUSER || !process.env.MYSQLPASSWORD || !process.env.MYSQLDATABASE) {
+    throw new Error('Database configuration environment variables are missing');
   }
+
+  const pool = mysql.createPool(dbConfig);
+  pool.on('error', (err) => {
+    logger.error('database pool error', { err });
+  });
+  return pool;
 }
 
-async function connectWithTimeout() {
-  return Promise.race([
-    mysql.createConnection(dbConfig),
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Connection timeout')), 10000)
-    )
-  ]);
+function getDatabase() {
+  if (!db) {
+    db = createPool();
+    ownsPool = true;
+  }
+  return db;
 }
 
-async function connectDB() {
-  if (isConnecting) {
-    console.log('Already attempting to connect...');
-    return connection;
+function isConnectionError(error) {
+  return CONNECTION_ERRORS.has(error.code);
+}
+
+// ทิ้ง pool เดิม (connection อาจเสียหมดแล้ว) ให้ getDatabase สร้างใหม่ เรียกจาก probe ตอน circuit เปิดอยู่เท่านั้น
+async function resetPool() {
+  if (!ownsPool) return;
+
+  const current = db;
+  db = null;
+  if (current && current.end) {
+    await current.end().catch(() => {});
   }
+}
+
+async function ping() {
+  const pool = getDatabase();
+  if (!pool.getConnection) {
+    await pool.query('SELECT 1');
+    return;
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.ping();
+  } finally {
+    connection.release();
+  }
+}
+
+const breaker = createCircuitBreaker({
+  probe: async () => {
+    dbReconnectAttempts.inc();
+    await resetPool();
+    await ping();
+  },
+  onOpen: (err, retryInMs) => logger.error('database unavailable, reconnecting in background', { err, retryInMs }),
+  onProbeFailed: (err, retryInMs) => logger.warn('database still unavailable', { code: err.code, retryInMs }),
+  onClose: () => logger.info('database reconnected'),
+});
+
+function unavailableError() {
+  return new ServiceUnavailableError(
+    msg('ฐานข้อมูลไม่พร้อมใช้งานชั่วคราว กรุณาลองใหม่อีกครั้ง', 'The database is temporarily unavailable, please try again later'),
+    'DATABASE_UNAVAILABLE',
+    breaker.retryAfterSeconds()
+  );
+}
 
+/**
+ * * ทดสอบการเชื่อมต่อตอนเริ่มเซิฟเวอร์ คืน true ถ้าเชื่อมต่อได้
+ * * ถ้าไม่ได้จะเปิด circuit แล้วเชื่อมต่อใหม่อยู่เบื้องหลัง เซิฟเวอร์ยังเปิดได้และตอบ 503 ไปก่อน
+ */
+async function connectDB() {
   try {
-    isConnecting = true;
-    console.log('Attempting to connect to database with config:', {
-      host: process.env.MYSQLHOST,
-      user: process.env.MYSQLUSER,
-      database: process.env.MYSQLDATABASE,
-      port: process.env.MYSQLPORT
-    });
-    
-    // Try to connect with timeout
-    connection = await connectWithTimeout();
-    
-    // Test the connection
-    await connection.query('SELECT 1');
-    
-    connection.on('error', async (err) => {
-      console.log('Database connection error:', err.message);
-      if (err.code === 'PROTOCOL_CONNECTION_LOST' || err.code === 'ETIMEDOUT') {
-        connection = null;
-        isConnecting = false;
-      }
-    });
-
-    console.log('Database connected successfully');
-    isConnecting = false;
-    return connection;
+    logger.info('connecting to database');
+    await ping();
+    logger.info('database connected');
+    return true;
   } catch (err) {
-    console.error('Connection error:', err.message);
-    connection = null;
-    isConnecting = false;
-    
-    // Wait before retrying
-    console.log('Waiting 5 seconds before retry...');
-    await new Promise(resolve => setTimeout(resolve, 5000));
-    return connectDB();
+    breaker.trip(err);
+    return false;
   }
 }
 
+/**
+ * * Wrapper function for database queries
+ * * connection หลุดจะไม่ลองส่งซ้ำ (INSERT/UPDATE อาจ commit ไปแล้ว) แต่นับเป็นความล้มเหลวของ circuit breaker
+ * * แล้วโยน ServiceUnavailableError (503) การสร้าง pool ใหม่ทำใน probe ของ circuit breaker เท่านั้น
+ */
 async function executeQuery(query, params = []) {
+  if (breaker.isOpen()) {
+    throw unavailableError();
+  }
+
   try {
-    // Validate existing connection
-    const isValid = await validateConnection();
-    if (!isValid) {
-      console.log('Connection invalid or not exists, reconnecting...');
-      await connectDB();
-    }
-    
-    const [results] = await connection.execute(query, params);
-    return [results];
+    const result = await getDatabase().query(query, params);
+    breaker.recordSuccess();
+    return result;
   } catch (error) {
-    console.error('Query error:', error.message);
-    if (error.code === 'PROTOCOL_CONNECTION_LOST' || 
-        error.code === 'ETIMEDOUT' || 
-        error.code === 'ECONNRESET') {
-      console.log('Connection lost, reconnecting...');
-      connection = null;
-      await connectDB();
-      const [results] = await connection.execute(query, params);
-      return [results];
+    if (!isConnectionError(error)) throw error;
+    logger.warn('database connection lost', { code: error.code });
+    breaker.recordFailure(error);
+    throw unavailableError();
+  }
+}
+
+// Keep connection alive with periodic ping (every 50 seconds)
+function startKeepAlive() {
+  if (keepAliveTimer) return;
+
+  keepAliveTimer = setInterval(async () => {
+    try {
+      await executeQuery('SELECT 1');
+    } catch (error) {
+      logger.error('database ping failed', { err: error });
     }
-    throw error;
+  }, PING_INTERVAL);
+  keepAliveTimer.unref();
+}
+
+// ปิดทุกอย่างตอนหยุดเซิฟเวอร์: keep-alive, การเชื่อมต่อใหม่เบื้องหลัง และ pool
+async function closeDB() {
+  if (keepAliveTimer) {
+    clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+  }
+  breaker.stop();
+
+  const current = db;
+  db = null;
+  ownsPool = false;
+  if (current && current.end) {
+    await current.end().catch(() => {});
   }
 }
 
-// Initial connection
-console.log('Initializing database connection...');
-connectDB().catch(err => {
-  console.error('Initial connection failed:', err.message);
+// แทนที่ฐานข้อมูล เช่น ใช้ฐานข้อมูลจำลองตอนทดสอบ
+function setDatabase(database) {
+  db = database;
+  ownsPool = false;
+  breaker.reset();
+}
+
+// จำนวน connection ของ pool (null ถ้ายังไม่ได้สร้าง pool หรือฐานข้อมูลไม่ใช่ pool ของ mysql2)
+function poolStats() {
+  const pool = db && db.pool;
+  if (!pool || !pool._allConnections) return null;
+  return {
+    limit: pool.config.connectionLimit,
+    total: pool._allConnections.length,
+    idle: pool._freeConnections.length,
+    waiting: pool._connectionQueue.length,
+  };
+}
+
+registry.gauge({
+  name: 'db_pool_connections',
+  help: 'Database pool connections by state',
+  collect: () => {
+    const stats = poolStats();
+    if (!stats) return [];
+    return [
+      { labels: { state: 'total' }, value: stats.total },
+      { labels: { state: 'idle' }, value: stats.idle },
+      { labels: { state: 'in_use' }, value: stats.total - stats.idle },
+      { labels: { state: 'waiting' }, value: stats.waiting },
+      { labels: { state: 'limit' }, value: stats.limit },
+    ];
+  },
+});
+
+registry.gauge({
+  name: 'db_circuit_open',
+  help: 'Whether the database circuit breaker is open (1) or closed (0)',
+  collect: () => [{ value: breaker.isOpen() ? 1 : 0 }],
 });
 
 module.exports = {
   executeQuery,
-  connectDB
-};
\ No newline at end of file
+  connectDB,
+  startKeepAlive,
+  closeDB,
+  setDatabase,
+  poolStats
+};
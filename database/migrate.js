@@ -0,0 +1,106 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { executeQuery, closeDB } = require('./initDatabase.js');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const query = (sql, params) => executeQuery(sql, params);
+
+// ไฟล์ migration เรียงตามชื่อ (ขึ้นต้นด้วยเลขลำดับ เช่น 001_create_core_tables.js)
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .map((file) => ({
+      name: path.basename(file, '.js'),
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }));
+}
+
+async function ensureMigrationsTable() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// ยังไม่มีตาราง schema_migrations แปลว่ายังไม่เคยรัน migration เลย
+async function appliedMigrations() {
+  try {
+    const [rows] = await query('SELECT name FROM schema_migrations ORDER BY name');
+    return rows.map((row) => row.name);
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') return [];
+    throw error;
+  }
+}
+
+// รายชื่อ migration พร้อมสถานะว่ารันแล้วหรือยัง อ่านอย่างเดียว (/readyz เรียกทุกครั้งที่ตรวจ)
+async function status() {
+  const applied = new Set(await appliedMigrations());
+  return loadMigrations().map(({ name }) => ({ name, applied: applied.has(name) }));
+}
+
+// รัน migration ที่ยังไม่ได้รันทั้งหมด (หรือ steps ตัวแรก) คืนรายชื่อที่รัน
+async function up(steps = Infinity) {
+  await ensureMigrationsTable();
+  const applied = new Set(await appliedMigrations());
+  const pending = loadMigrations().filter(({ name }) => !applied.has(name)).slice(0, steps);
+
+  for (const migration of pending) {
+    console.log(`Applying ${migration.name}`);
+    await migration.up(query);
+    await query('INSERT INTO schema_migrations (name) VALUES (?)', [migration.name]);
+  }
+  return pending.map(({ name }) => name);
+}
+
+// ย้อน migration ล่าสุด steps ตัว (ค่าเริ่มต้น 1) คืนรายชื่อที่ย้อน
+async function down(steps = 1) {
+  await ensureMigrationsTable();
+  const applied = new Set(await appliedMigrations());
+  const migrations = loadMigrations().filter(({ name }) => applied.has(name)).reverse().slice(0, steps);
+
+  for (const migration of migrations) {
+    console.log(`Reverting ${migration.name}`);
+    await migration.down(query);
+    await query('DELETE FROM schema_migrations WHERE name = ?', [migration.name]);
+  }
+  return migrations.map(({ name }) => name);
+}
+
+// node database/migrate.js [up|down|status] [steps] (npm run migrate / migrate:down / migrate:status)
+async function main() {
+  const [command = 'up', stepsArg] = process.argv.slice(2);
+  const steps = stepsArg === undefined ? undefined : Number(stepsArg);
+
+  try {
+    if (command === 'up') {
+      const names = await up(steps);
+      console.log(names.length ? `Applied ${names.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'down') {
+      const names = await down(steps);
+      console.log(names.length ? `Reverted ${names.length} migration(s)` : 'Nothing to revert');
+    } else if (command === 'status') {
+      for (const migration of await status()) {
+        console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.name}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}", expected up, down or status`);
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { up, down, status };
@@ -0,0 +1,82 @@
+// ตารางหลักที่เดิมมีอยู่บนฐานข้อมูล Railway เท่านั้น
+const TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (query) => {
+  await query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      password VARCHAR(255) NOT NULL,
+      fname VARCHAR(100) NOT NULL,
+      lname VARCHAR(100) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ${TABLE_OPTIONS}
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS occupation (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT NULL
+    ) ${TABLE_OPTIONS}
+  `);
+
+  // question_type คือ id ของอาชีพที่คำถามนี้ใช้วัด (GET /api/question/:id)
+  await query(`
+    CREATE TABLE IF NOT EXISTS question (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      question_type INT NOT NULL,
+      question_text TEXT NOT NULL,
+      FOREIGN KEY (question_type) REFERENCES occupation(id)
+    ) ${TABLE_OPTIONS}
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS videospath (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      video_title VARCHAR(255) NOT NULL,
+      video_path VARCHAR(500) NOT NULL,
+      description TEXT NOT NULL,
+      image VARCHAR(500) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ${TABLE_OPTIONS}
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS threads (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      content TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ${TABLE_OPTIONS}
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS comments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      thread_id INT NOT NULL,
+      user_name VARCHAR(100) NOT NULL,
+      comment TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (thread_id) REFERENCES threads(id) ON DELETE CASCADE
+    ) ${TABLE_OPTIONS}
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS form_submissions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      submitted_at DATETIME NOT NULL,
+      INDEX idx_form_submissions_submitted_at (submitted_at)
+    ) ${TABLE_OPTIONS}
+  `);
+};
+
+exports.down = async (query) => {
+  await query('DROP TABLE IF EXISTS form_submissions');
+  await query('DROP TABLE IF EXISTS comments');
+  await query('DROP TABLE IF EXISTS threads');
+  await query('DROP TABLE IF EXISTS videospath');
+  await query('DROP TABLE IF EXISTS question');
+  await query('DROP TABLE IF EXISTS occupation');
+  await query('DROP TABLE IF EXISTS users');
+};
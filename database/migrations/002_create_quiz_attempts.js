@@ -0,0 +1,22 @@
+// ผลการทำแบบทดสอบอาชีพ (POST /api/quiz/submit, GET /api/users/:id/results)
+exports.up = async (query) => {
+  await query(`
+    CREATE TABLE IF NOT EXISTS quiz_attempts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      submission_id INT NOT NULL,
+      user_id INT NULL,
+      top_occupation_id INT NULL,
+      answers JSON NOT NULL,
+      scores JSON NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_quiz_attempts_user (user_id, created_at),
+      FOREIGN KEY (submission_id) REFERENCES form_submissions(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (top_occupation_id) REFERENCES occupation(id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+exports.down = async (query) => {
+  await query('DROP TABLE IF EXISTS quiz_attempts');
+};
@@ -0,0 +1,27 @@
+// refresh token (เก็บเฉพาะ hash) และ access token ที่ถูกเพิกถอนจาก POST /api/logout
+exports.up = async (query) => {
+  await query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // ลบแถวที่ expires_at ผ่านไปแล้วได้
+  await query(`
+    CREATE TABLE IF NOT EXISTS revoked_tokens (
+      jti CHAR(36) PRIMARY KEY,
+      expires_at DATETIME NOT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (query) => {
+  await query('DROP TABLE IF EXISTS revoked_tokens');
+  await query('DROP TABLE IF EXISTS refresh_tokens');
+};
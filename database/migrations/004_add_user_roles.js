@@ -0,0 +1,11 @@
+// สิทธิ์ของผู้ใช้ (admin จัดการวิดีโอ อาชีพ และคำถามผ่าน /api/admin/*)
+exports.up = async (query) => {
+  await query(`
+    ALTER TABLE users
+      ADD COLUMN role ENUM('student', 'moderator', 'admin') NOT NULL DEFAULT 'student'
+  `);
+};
+
+exports.down = async (query) => {
+  await query('ALTER TABLE users DROP COLUMN role');
+};
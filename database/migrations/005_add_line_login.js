@@ -0,0 +1,28 @@
+// บัญชี LINE (POST /api/auth/line) ผู้ใช้ที่สมัครผ่าน LINE อาจไม่มีอีเมลและรหัสผ่าน
+exports.up = async (query) => {
+  await query(`
+    ALTER TABLE users
+      ADD COLUMN line_user_id VARCHAR(64) NULL UNIQUE,
+      MODIFY email VARCHAR(255) NULL,
+      MODIFY password VARCHAR(255) NULL
+  `);
+};
+
+// ย้อนไม่ได้ถ้ามีผู้ใช้ที่ไม่มีอีเมลหรือรหัสผ่านแล้ว ไม่ลบบัญชีให้อัตโนมัติ ต้องจัดการข้อมูลเหล่านั้นเองก่อน
+exports.down = async (query) => {
+  const [rows] = await query('SELECT COUNT(*) AS count FROM users WHERE email IS NULL OR password IS NULL');
+  const count = Number(rows[0].count);
+  if (count > 0) {
+    throw new Error(
+      `Cannot revert 005_add_line_login: ${count} user(s) have no email or password (LINE-only accounts). ` +
+      'Delete them or set an email and password first.'
+    );
+  }
+
+  await query(`
+    ALTER TABLE users
+      DROP COLUMN line_user_id,
+      MODIFY email VARCHAR(255) NOT NULL,
+      MODIFY password VARCHAR(255) NOT NULL
+  `);
+};
@@ -0,0 +1,30 @@
+// จำนวนการเข้าชม สำหรับ sort=most_viewed ของ /api/threads และ /api/videospath
+exports.up = async (query) => {
+  await query(`
+    ALTER TABLE threads
+      ADD COLUMN view_count INT NOT NULL DEFAULT 0,
+      ADD INDEX idx_threads_created_at (created_at, id),
+      ADD INDEX idx_threads_view_count (view_count, id)
+  `);
+  await query(`
+    ALTER TABLE videospath
+      ADD COLUMN view_count INT NOT NULL DEFAULT 0,
+      ADD INDEX idx_videospath_created_at (created_at, id),
+      ADD INDEX idx_videospath_view_count (view_count, id)
+  `);
+};
+
+exports.down = async (query) => {
+  await query(`
+    ALTER TABLE videospath
+      DROP INDEX idx_videospath_view_count,
+      DROP INDEX idx_videospath_created_at,
+      DROP COLUMN view_count
+  `);
+  await query(`
+    ALTER TABLE threads
+      DROP INDEX idx_threads_view_count,
+      DROP INDEX idx_threads_created_at,
+      DROP COLUMN view_count
+  `);
+};
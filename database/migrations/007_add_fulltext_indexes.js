@@ -0,0 +1,12 @@
+// ดัชนี FULLTEXT สำหรับ GET /api/search ใช้ ngram parser เพราะภาษาไทยไม่เว้นวรรคระหว่างคำ
+exports.up = async (query) => {
+  await query('ALTER TABLE occupation ADD FULLTEXT INDEX ft_occupation_search (name, description) WITH PARSER ngram');
+  await query('ALTER TABLE videospath ADD FULLTEXT INDEX ft_videospath_search (video_title, description) WITH PARSER ngram');
+  await query('ALTER TABLE threads ADD FULLTEXT INDEX ft_threads_search (title, content) WITH PARSER ngram');
+};
+
+exports.down = async (query) => {
+  await query('ALTER TABLE threads DROP INDEX ft_threads_search');
+  await query('ALTER TABLE videospath DROP INDEX ft_videospath_search');
+  await query('ALTER TABLE occupation DROP INDEX ft_occupation_search');
+};
@@ -0,0 +1,61 @@
+// ผู้เขียนกระทู้/ความคิดเห็น การซ่อนเนื้อหา การรายงาน และประวัติการจัดการเนื้อหา
+exports.up = async (query) => {
+  for (const table of ['threads', 'comments']) {
+    await query(`
+      ALTER TABLE ${table}
+        ADD COLUMN user_id INT NULL,
+        ADD COLUMN is_hidden TINYINT(1) NOT NULL DEFAULT 0,
+        ADD COLUMN updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+        ADD CONSTRAINT fk_${table}_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    `);
+  }
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS reports (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      content_type ENUM('thread', 'comment') NOT NULL,
+      content_id INT NOT NULL,
+      reporter_id INT NOT NULL,
+      reason VARCHAR(500) NOT NULL,
+      status ENUM('open', 'resolved', 'dismissed') NOT NULL DEFAULT 'open',
+      resolved_by INT NULL,
+      resolved_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_reports_reporter (content_type, content_id, reporter_id),
+      INDEX idx_reports_status (status, created_at),
+      FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // ไม่ผูก foreign key กับเนื้อหา เพราะต้องเก็บประวัติไว้แม้เนื้อหาถูกลบถาวร
+  await query(`
+    CREATE TABLE IF NOT EXISTS moderation_log (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      actor_id INT NULL,
+      action VARCHAR(32) NOT NULL,
+      content_type ENUM('thread', 'comment') NOT NULL,
+      content_id INT NOT NULL,
+      report_id INT NULL,
+      reason VARCHAR(500) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_moderation_log_content (content_type, content_id),
+      FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+exports.down = async (query) => {
+  await query('DROP TABLE IF EXISTS moderation_log');
+  await query('DROP TABLE IF EXISTS reports');
+
+  for (const table of ['comments', 'threads']) {
+    await query(`
+      ALTER TABLE ${table}
+        DROP FOREIGN KEY fk_${table}_user,
+        DROP COLUMN updated_at,
+        DROP COLUMN is_hidden,
+        DROP COLUMN user_id
+    `);
+  }
+};
@@ -0,0 +1,42 @@
+// ตอบกลับความคิดเห็นแบบซ้อน ความรู้สึก (like / upvote) และคำตอบที่ผู้ตั้งกระทู้ยอมรับ
+exports.up = async (query) => {
+  await query(`
+    ALTER TABLE comments
+      ADD COLUMN parent_id INT NULL,
+      ADD CONSTRAINT fk_comments_parent FOREIGN KEY (parent_id) REFERENCES comments(id) ON DELETE CASCADE
+  `);
+
+  await query(`
+    ALTER TABLE threads
+      ADD COLUMN accepted_comment_id INT NULL,
+      ADD CONSTRAINT fk_threads_accepted_comment FOREIGN KEY (accepted_comment_id) REFERENCES comments(id) ON DELETE SET NULL
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS reactions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      target_type ENUM('thread', 'comment') NOT NULL,
+      target_id INT NOT NULL,
+      reaction ENUM('like', 'upvote') NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_reactions_user (user_id, target_type, target_id, reaction),
+      INDEX idx_reactions_target (target_type, target_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (query) => {
+  await query('DROP TABLE IF EXISTS reactions');
+  await query(`
+    ALTER TABLE threads
+      DROP FOREIGN KEY fk_threads_accepted_comment,
+      DROP COLUMN accepted_comment_id
+  `);
+  await query(`
+    ALTER TABLE comments
+      DROP FOREIGN KEY fk_comments_parent,
+      DROP COLUMN parent_id
+  `);
+};
@@ -0,0 +1,15 @@
+// รูปโปรไฟล์ของผู้ใช้ และเลิกบังคับ user_name ของความคิดเห็น (ใช้ user_id แทน)
+exports.up = async (query) => {
+  await query('ALTER TABLE users ADD COLUMN avatar VARCHAR(500) NULL');
+  await query('ALTER TABLE comments MODIFY user_name VARCHAR(100) NULL');
+  await query('ALTER TABLE threads ADD INDEX idx_threads_user (user_id, created_at)');
+  await query('ALTER TABLE comments ADD INDEX idx_comments_user (user_id, created_at)');
+};
+
+exports.down = async (query) => {
+  await query('ALTER TABLE comments DROP INDEX idx_comments_user');
+  await query('ALTER TABLE threads DROP INDEX idx_threads_user');
+  await query("UPDATE comments SET user_name = '' WHERE user_name IS NULL");
+  await query('ALTER TABLE comments MODIFY user_name VARCHAR(100) NOT NULL');
+  await query('ALTER TABLE users DROP COLUMN avatar');
+};
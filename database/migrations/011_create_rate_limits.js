@@ -0,0 +1,15 @@
+// ตัวนับของ rate limiter เมื่อใช้ store แบบ mysql (RATE_LIMIT_STORE=mysql) reset_at เป็น epoch milliseconds
+exports.up = async (query) => {
+  await query(`
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      rate_key VARCHAR(400) PRIMARY KEY,
+      hits INT UNSIGNED NOT NULL DEFAULT 0,
+      reset_at BIGINT NOT NULL,
+      INDEX idx_rate_limits_reset (reset_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (query) => {
+  await query('DROP TABLE IF EXISTS rate_limits');
+};
@@ -0,0 +1,36 @@
+// ล็อกบัญชีเมื่อใส่รหัสผ่านผิดหลายครั้ง, ยืนยันอีเมล และ token ใช้ครั้งเดียวสำหรับตั้งรหัสผ่านใหม่/ยืนยันอีเมล
+exports.up = async (query) => {
+  await query(`
+    ALTER TABLE users
+      ADD COLUMN email_verified_at DATETIME NULL,
+      ADD COLUMN failed_login_attempts INT NOT NULL DEFAULT 0,
+      ADD COLUMN locked_until DATETIME NULL
+  `);
+  // ผู้ใช้เดิมถือว่ายืนยันอีเมลแล้ว
+  await query('UPDATE users SET email_verified_at = NOW() WHERE email IS NOT NULL');
+
+  // เก็บเฉพาะ hash ของ token เหมือน refresh_tokens
+  await query(`
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      purpose ENUM('password_reset', 'email_verification') NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_user_tokens_user (user_id, purpose),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (query) => {
+  await query('DROP TABLE IF EXISTS user_tokens');
+  await query(`
+    ALTER TABLE users
+      DROP COLUMN locked_until,
+      DROP COLUMN failed_login_attempts,
+      DROP COLUMN email_verified_at
+  `);
+};
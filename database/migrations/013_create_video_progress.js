@@ -0,0 +1,25 @@
+// ความคืบหน้าการดูวิดีโอของผู้ใช้แต่ละคน (POST /api/videos/:id/progress) หน่วยเป็นวินาที
+exports.up = async (query) => {
+  await query(`
+    CREATE TABLE IF NOT EXISTS video_progress (
+      user_id INT NOT NULL,
+      video_id INT NOT NULL,
+      position_seconds INT NOT NULL DEFAULT 0,
+      max_position_seconds INT NOT NULL DEFAULT 0,
+      duration_seconds INT NOT NULL,
+      play_count INT NOT NULL DEFAULT 0,
+      completed_at DATETIME NULL,
+      started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_watched_at DATETIME NOT NULL,
+      PRIMARY KEY (user_id, video_id),
+      INDEX idx_video_progress_recent (user_id, last_watched_at),
+      INDEX idx_video_progress_video (video_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (video_id) REFERENCES videospath(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (query) => {
+  await query('DROP TABLE IF EXISTS video_progress');
+};
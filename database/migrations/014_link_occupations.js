@@ -0,0 +1,30 @@
+// ผูกวิดีโอกับอาชีพ (หลายต่อหลาย) และให้กระทู้ระบุอาชีพที่เกี่ยวข้องได้ ใช้กับ GET /api/recommendations
+exports.up = async (query) => {
+  await query(`
+    CREATE TABLE IF NOT EXISTS occupation_videos (
+      occupation_id INT NOT NULL,
+      video_id INT NOT NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (occupation_id, video_id),
+      INDEX idx_occupation_videos_video (video_id),
+      FOREIGN KEY (occupation_id) REFERENCES occupation(id) ON DELETE CASCADE,
+      FOREIGN KEY (video_id) REFERENCES videospath(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await query(`
+    ALTER TABLE threads
+      ADD COLUMN occupation_id INT NULL,
+      ADD CONSTRAINT fk_threads_occupation FOREIGN KEY (occupation_id) REFERENCES occupation(id) ON DELETE SET NULL
+  `);
+};
+
+exports.down = async (query) => {
+  await query(`
+    ALTER TABLE threads
+      DROP FOREIGN KEY fk_threads_occupation,
+      DROP COLUMN occupation_id
+  `);
+  await query('DROP TABLE IF EXISTS occupation_videos');
+};
@@ -0,0 +1,14 @@
+// รูปที่อัปโหลด: image/avatar เก็บ URL ขนาดกลาง ส่วน *_variants เก็บทุกขนาด { small: { key, url, width, height }, ... }
+exports.up = async (query) => {
+  // วิดีโอสร้างก่อนแล้วค่อยอัปโหลดรูปได้
+  await query('ALTER TABLE videospath MODIFY image VARCHAR(500) NULL');
+  await query('ALTER TABLE videospath ADD COLUMN image_variants JSON NULL');
+  await query('ALTER TABLE users ADD COLUMN avatar_variants JSON NULL');
+};
+
+exports.down = async (query) => {
+  await query('ALTER TABLE users DROP COLUMN avatar_variants');
+  await query('ALTER TABLE videospath DROP COLUMN image_variants');
+  await query("UPDATE videospath SET image = '' WHERE image IS NULL");
+  await query('ALTER TABLE videospath MODIFY image VARCHAR(500) NOT NULL');
+};
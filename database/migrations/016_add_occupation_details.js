@@ -0,0 +1,67 @@
+// ข้อมูลประกอบหน้ารายละเอียดอาชีพ (GET /api/occupation/:id) เงินเดือนเป็นบาทต่อเดือน
+exports.up = async (query) => {
+  await query(`
+    ALTER TABLE occupation
+      ADD COLUMN salary_min INT UNSIGNED NULL,
+      ADD COLUMN salary_max INT UNSIGNED NULL
+  `);
+
+  // ทักษะใช้ร่วมกันได้หลายอาชีพ
+  await query(`
+    CREATE TABLE IF NOT EXISTS skills (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      description TEXT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS occupation_skills (
+      occupation_id INT NOT NULL,
+      skill_id INT NOT NULL,
+      level ENUM('basic', 'intermediate', 'advanced') NOT NULL DEFAULT 'intermediate',
+      sort_order INT NOT NULL DEFAULT 0,
+      PRIMARY KEY (occupation_id, skill_id),
+      INDEX idx_occupation_skills_skill (skill_id),
+      FOREIGN KEY (occupation_id) REFERENCES occupation(id) ON DELETE CASCADE,
+      FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS education_paths (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      occupation_id INT NOT NULL,
+      kind ENUM('degree', 'vocational', 'certificate', 'course') NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      INDEX idx_education_paths_occupation (occupation_id, sort_order),
+      FOREIGN KEY (occupation_id) REFERENCES occupation(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // ความสัมพันธ์สองทาง เก็บแถวเดียวโดย occupation_id < related_id
+  await query(`
+    CREATE TABLE IF NOT EXISTS occupation_relations (
+      occupation_id INT NOT NULL,
+      related_id INT NOT NULL,
+      PRIMARY KEY (occupation_id, related_id),
+      INDEX idx_occupation_relations_related (related_id),
+      FOREIGN KEY (occupation_id) REFERENCES occupation(id) ON DELETE CASCADE,
+      FOREIGN KEY (related_id) REFERENCES occupation(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (query) => {
+  await query('DROP TABLE IF EXISTS occupation_relations');
+  await query('DROP TABLE IF EXISTS education_paths');
+  await query('DROP TABLE IF EXISTS occupation_skills');
+  await query('DROP TABLE IF EXISTS skills');
+  await query(`
+    ALTER TABLE occupation
+      DROP COLUMN salary_max,
+      DROP COLUMN salary_min
+  `);
+};
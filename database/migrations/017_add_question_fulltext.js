@@ -0,0 +1,8 @@
+// ให้ GET /api/search ค้นหาคำถามในแบบทดสอบได้ (เหมือน 007_add_fulltext_indexes)
+exports.up = async (query) => {
+  await query('ALTER TABLE question ADD FULLTEXT INDEX ft_question_search (question_text) WITH PARSER ngram');
+};
+
+exports.down = async (query) => {
+  await query('ALTER TABLE question DROP INDEX ft_question_search');
+};
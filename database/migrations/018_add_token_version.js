@@ -0,0 +1,8 @@
+// เพิ่มทุกครั้งที่เปลี่ยน/ตั้งรหัสผ่านใหม่ access token ที่ออกก่อนหน้า (ver ไม่ตรง) จะใช้ไม่ได้ทันที
+exports.up = async (query) => {
+  await query('ALTER TABLE users ADD COLUMN token_version INT NOT NULL DEFAULT 0');
+};
+
+exports.down = async (query) => {
+  await query('ALTER TABLE users DROP COLUMN token_version');
+};
@@ -0,0 +1,24 @@
+// ทีมแนะแนว (counselor) ดูผลแบบทดสอบของนักเรียนได้ แต่ไม่ได้สิทธิ์ของ admin หรือ moderator
+exports.up = async (query) => {
+  await query(`
+    ALTER TABLE users
+      MODIFY role ENUM('student', 'moderator', 'counselor', 'admin') NOT NULL DEFAULT 'student'
+  `);
+};
+
+// ย้อนไม่ได้ถ้ามีผู้ใช้ที่เป็น counselor อยู่ ต้องเปลี่ยน role ของผู้ใช้เหล่านั้นก่อน
+exports.down = async (query) => {
+  const [rows] = await query("SELECT COUNT(*) AS count FROM users WHERE role = 'counselor'");
+  const count = Number(rows[0].count);
+  if (count > 0) {
+    throw new Error(
+      `Cannot revert 019_add_counselor_role: ${count} user(s) have the counselor role. ` +
+      'Change their role first.'
+    );
+  }
+
+  await query(`
+    ALTER TABLE users
+      MODIFY role ENUM('student', 'moderator', 'admin') NOT NULL DEFAULT 'student'
+  `);
+};
@@ -0,0 +1,37 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { executeQuery, closeDB } = require('./initDatabase.js');
+
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+/**
+ * * ใส่ข้อมูลตัวอย่างจาก database/seeds ตามลำดับชื่อไฟล์
+ * * ใช้ INSERT IGNORE กับ id คงที่ รันซ้ำได้โดยไม่เกิดข้อมูลซ้ำ
+ */
+async function seed() {
+  const files = fs.readdirSync(SEEDS_DIR).filter((file) => file.endsWith('.js')).sort();
+
+  for (const file of files) {
+    const { table, rows } = require(path.join(SEEDS_DIR, file));
+    for (const row of rows) {
+      const columns = Object.keys(row);
+      await executeQuery(
+        `INSERT IGNORE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map((column) => row[column])
+      );
+    }
+    console.log(`Seeded ${rows.length} row(s) into ${table}`);
+  }
+}
+
+if (require.main === module) {
+  seed()
+    .catch((error) => {
+      console.error('Seeding failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(closeDB);
+}
+
+module.exports = { seed };
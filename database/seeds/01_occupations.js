@@ -0,0 +1,11 @@
+// อาชีพตัวอย่าง (id คงที่เพื่อให้ question อ้างอิงได้) เงินเดือนเป็นบาทต่อเดือนโดยประมาณ
+module.exports = {
+  table: 'occupation',
+  rows: [
+    { id: 1, name: 'Software Developer', description: 'ออกแบบและพัฒนาโปรแกรม เว็บไซต์ และแอปพลิเคชัน', salary_min: 25000, salary_max: 80000 },
+    { id: 2, name: 'Network Engineer', description: 'ออกแบบ ติดตั้ง และดูแลระบบเครือข่ายขององค์กร', salary_min: 22000, salary_max: 70000 },
+    { id: 3, name: 'Data Analyst', description: 'วิเคราะห์ข้อมูลเพื่อช่วยในการตัดสินใจทางธุรกิจ', salary_min: 22000, salary_max: 65000 },
+    { id: 4, name: 'UX/UI Designer', description: 'ออกแบบประสบการณ์และหน้าตาของผู้ใช้งานระบบ', salary_min: 20000, salary_max: 60000 },
+    { id: 5, name: 'Cybersecurity Specialist', description: 'ป้องกันและตรวจสอบภัยคุกคามทางไซเบอร์', salary_min: 30000, salary_max: 100000 },
+  ],
+};
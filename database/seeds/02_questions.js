@@ -0,0 +1,16 @@
+// คำถามตัวอย่าง question_type คือ id ของอาชีพใน 01_occupations.js
+module.exports = {
+  table: 'question',
+  rows: [
+    { id: 1, question_type: 1, question_text: 'ฉันชอบเขียนโปรแกรมเพื่อแก้ปัญหา' },
+    { id: 2, question_type: 1, question_text: 'ฉันสนุกกับการเรียนรู้ภาษาโปรแกรมใหม่ ๆ' },
+    { id: 3, question_type: 2, question_text: 'ฉันสนใจว่าอินเทอร์เน็ตส่งข้อมูลถึงกันได้อย่างไร' },
+    { id: 4, question_type: 2, question_text: 'ฉันชอบตั้งค่าเราเตอร์และอุปกรณ์เครือข่าย' },
+    { id: 5, question_type: 3, question_text: 'ฉันชอบหาความหมายจากตัวเลขและกราฟ' },
+    { id: 6, question_type: 3, question_text: 'ฉันใช้ Excel หรือ Google Sheets ได้คล่อง' },
+    { id: 7, question_type: 4, question_text: 'ฉันสังเกตว่าแอปไหนใช้งานง่ายหรือยาก' },
+    { id: 8, question_type: 4, question_text: 'ฉันชอบวาดภาพหรือออกแบบกราฟิก' },
+    { id: 9, question_type: 5, question_text: 'ฉันสนใจข่าวการโจมตีทางไซเบอร์และการแฮก' },
+    { id: 10, question_type: 5, question_text: 'ฉันชอบหาช่องโหว่และจุดบกพร่องของระบบ' },
+  ],
+};
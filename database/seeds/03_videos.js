@@ -0,0 +1,26 @@
+module.exports = {
+  table: 'videospath',
+  rows: [
+    {
+      id: 1,
+      video_title: 'A day in the life of a software developer',
+      video_path: 'https://www.youtube.com/watch?v=example-dev',
+      description: 'ชีวิตการทำงานหนึ่งวันของนักพัฒนาซอฟต์แวร์',
+      image: 'https://placehold.co/640x360?text=Developer',
+    },
+    {
+      id: 2,
+      video_title: 'What does a network engineer do?',
+      video_path: 'https://www.youtube.com/watch?v=example-network',
+      description: 'หน้าที่และทักษะของวิศวกรเครือข่าย',
+      image: 'https://placehold.co/640x360?text=Network',
+    },
+    {
+      id: 3,
+      video_title: 'Getting started in data analytics',
+      video_path: 'https://www.youtube.com/watch?v=example-data',
+      description: 'เริ่มต้นเส้นทางนักวิเคราะห์ข้อมูล',
+      image: 'https://placehold.co/640x360?text=Data',
+    },
+  ],
+};
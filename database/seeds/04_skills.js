@@ -0,0 +1,14 @@
+// ทักษะตัวอย่าง ใช้ร่วมกันได้หลายอาชีพผ่าน occupation_skills
+module.exports = {
+  table: 'skills',
+  rows: [
+    { id: 1, name: 'Programming', description: 'เขียนโปรแกรมด้วยภาษาอย่างน้อยหนึ่งภาษา เช่น JavaScript หรือ Python' },
+    { id: 2, name: 'Networking', description: 'เข้าใจ TCP/IP การกำหนดเส้นทาง และอุปกรณ์เครือข่าย' },
+    { id: 3, name: 'SQL', description: 'ดึงและจัดการข้อมูลจากฐานข้อมูลเชิงสัมพันธ์' },
+    { id: 4, name: 'Statistics', description: 'สถิติพื้นฐานสำหรับวิเคราะห์และสรุปข้อมูล' },
+    { id: 5, name: 'Visual design', description: 'จัดวางองค์ประกอบ สี และตัวอักษรให้ใช้งานง่าย' },
+    { id: 6, name: 'User research', description: 'สัมภาษณ์และทดสอบกับผู้ใช้เพื่อหาปัญหาที่แท้จริง' },
+    { id: 7, name: 'Security fundamentals', description: 'เข้าใจช่องโหว่ที่พบบ่อยและวิธีป้องกัน' },
+    { id: 8, name: 'Problem solving', description: 'แยกปัญหาใหญ่เป็นส่วนย่อยและแก้ไขอย่างเป็นระบบ' },
+  ],
+};
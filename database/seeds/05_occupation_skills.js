@@ -0,0 +1,19 @@
+// ทักษะที่ต้องใช้ของแต่ละอาชีพตัวอย่าง
+module.exports = {
+  table: 'occupation_skills',
+  rows: [
+    { occupation_id: 1, skill_id: 1, level: 'advanced', sort_order: 0 },
+    { occupation_id: 1, skill_id: 3, level: 'intermediate', sort_order: 1 },
+    { occupation_id: 1, skill_id: 8, level: 'advanced', sort_order: 2 },
+    { occupation_id: 2, skill_id: 2, level: 'advanced', sort_order: 0 },
+    { occupation_id: 2, skill_id: 7, level: 'intermediate', sort_order: 1 },
+    { occupation_id: 3, skill_id: 3, level: 'advanced', sort_order: 0 },
+    { occupation_id: 3, skill_id: 4, level: 'advanced', sort_order: 1 },
+    { occupation_id: 3, skill_id: 1, level: 'basic', sort_order: 2 },
+    { occupation_id: 4, skill_id: 5, level: 'advanced', sort_order: 0 },
+    { occupation_id: 4, skill_id: 6, level: 'advanced', sort_order: 1 },
+    { occupation_id: 5, skill_id: 7, level: 'advanced', sort_order: 0 },
+    { occupation_id: 5, skill_id: 2, level: 'intermediate', sort_order: 1 },
+    { occupation_id: 5, skill_id: 1, level: 'basic', sort_order: 2 },
+  ],
+};
@@ -0,0 +1,15 @@
+// เส้นทางการศึกษาตัวอย่าง
+module.exports = {
+  table: 'education_paths',
+  rows: [
+    { id: 1, occupation_id: 1, kind: 'degree', title: 'ปริญญาตรี วิทยาการคอมพิวเตอร์ หรือ วิศวกรรมซอฟต์แวร์', sort_order: 0 },
+    { id: 2, occupation_id: 1, kind: 'course', title: 'Coding bootcamp และคอร์สออนไลน์ด้านการพัฒนาเว็บ', sort_order: 1 },
+    { id: 3, occupation_id: 2, kind: 'vocational', title: 'ปวส. เทคโนโลยีคอมพิวเตอร์ หรือ เครือข่าย', sort_order: 0 },
+    { id: 4, occupation_id: 2, kind: 'certificate', title: 'Cisco CCNA', sort_order: 1 },
+    { id: 5, occupation_id: 3, kind: 'degree', title: 'ปริญญาตรี สถิติ วิทยาการข้อมูล หรือ วิทยาการคอมพิวเตอร์', sort_order: 0 },
+    { id: 6, occupation_id: 3, kind: 'certificate', title: 'Google Data Analytics Certificate', sort_order: 1 },
+    { id: 7, occupation_id: 4, kind: 'degree', title: 'ปริญญาตรี ออกแบบนิเทศศิลป์ หรือ เทคโนโลยีมัลติมีเดีย', sort_order: 0 },
+    { id: 8, occupation_id: 5, kind: 'degree', title: 'ปริญญาตรี วิทยาการคอมพิวเตอร์ หรือ ความมั่นคงปลอดภัยไซเบอร์', sort_order: 0 },
+    { id: 9, occupation_id: 5, kind: 'certificate', title: 'CompTIA Security+', sort_order: 1 },
+  ],
+};
@@ -0,0 +1,10 @@
+// อาชีพที่เกี่ยวข้องกัน (occupation_id < related_id)
+module.exports = {
+  table: 'occupation_relations',
+  rows: [
+    { occupation_id: 1, related_id: 3 },
+    { occupation_id: 1, related_id: 4 },
+    { occupation_id: 2, related_id: 5 },
+    { occupation_id: 1, related_id: 5 },
+  ],
+};
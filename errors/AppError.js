@@ -0,0 +1,92 @@
+// ข้อความสองภาษา errorHandler จะเลือกภาษาตาม Accept-Language ของผู้ขอ
+function msg(th, en) {
+  return { th, en };
+}
+
+/**
+ * * error ที่ตั้งใจส่งกลับให้ผู้ใช้ (throw ใน handler แล้ว errorHandler จะตอบให้)
+ * * code คือรหัสที่ frontend ใช้ตรวจสอบ message คือข้อความจาก msg()
+ */
+class AppError extends Error {
+  constructor(status, code, message, details) {
+    super(message.en);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.localizedMessage = message;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = msg('คำขอไม่ถูกต้อง', 'Bad request'), code = 'BAD_REQUEST', details) {
+    super(400, code, message, details);
+  }
+}
+
+// details คือรายการ { field, location, message } ของแต่ละฟิลด์ที่ไม่ผ่าน
+class ValidationError extends AppError {
+  constructor(details, message = msg('ข้อมูลไม่ถูกต้อง', 'Validation failed')) {
+    super(400, 'VALIDATION_ERROR', message, details);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = msg('กรุณาเข้าสู่ระบบ', 'Authentication required'), code = 'UNAUTHORIZED') {
+    super(401, code, message);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = msg('ไม่มีสิทธิ์เข้าถึง', 'Forbidden'), code = 'FORBIDDEN') {
+    super(403, code, message);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = msg('ไม่พบข้อมูล', 'Not found'), code = 'NOT_FOUND') {
+    super(404, code, message);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = msg('ข้อมูลซ้ำหรือขัดแย้งกับข้อมูลเดิม', 'Conflict'), code = 'CONFLICT') {
+    super(409, code, message);
+  }
+}
+
+// retryAfter คือจำนวนวินาทีที่ส่งกลับใน header Retry-After
+class ServiceUnavailableError extends AppError {
+  constructor(message = msg('บริการไม่พร้อมใช้งานชั่วคราว', 'Service temporarily unavailable'), code = 'SERVICE_UNAVAILABLE', retryAfter = 1) {
+    super(503, code, message);
+    this.retryAfter = retryAfter;
+  }
+}
+
+// บัญชีถูกล็อกชั่วคราว retryAfter คือจำนวนวินาทีที่เหลือ
+class LockedError extends AppError {
+  constructor(message = msg('บัญชีถูกล็อกชั่วคราว', 'Account is temporarily locked'), code = 'LOCKED', retryAfter) {
+    super(423, code, message);
+    this.retryAfter = retryAfter;
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message = msg('คุณขอการเชื่อมต่อต่อเซิฟเวอร์มากเกินไป กรุณาลองใหม่ภายหลัง', 'Too many requests, please try again later')) {
+    super(429, 'TOO_MANY_REQUESTS', message);
+  }
+}
+
+module.exports = {
+  msg,
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ServiceUnavailableError,
+  LockedError,
+  TooManyRequestsError,
+};
@@ -0,0 +1,48 @@
+const { logger } = require('../logger/logger.js');
+
+// เวลาสูงสุดที่รอคำขอที่ค้างอยู่ก่อนตัด connection ทิ้ง (มิลลิวินาที)
+const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT) || 10000;
+
+let shuttingDown = false;
+
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+// คำขอที่เข้ามาทาง keep-alive connection เดิมระหว่างปิดเซิฟเวอร์ ให้ปิด connection หลังตอบ
+function closeConnectionOnShutdown(req, res, next) {
+  if (shuttingDown) {
+    res.set('Connection', 'close');
+  }
+  next();
+}
+
+/**
+ * * หยุดรับ connection ใหม่ รอคำขอที่ค้างอยู่ให้ตอบเสร็จ (ไม่เกิน timeoutMs) แล้วเรียก cleanup เช่น ปิด pool
+ * * เรียกซ้ำได้ (เช่น SIGTERM ตามด้วย SIGINT) ครั้งหลังจะไม่ทำอะไร
+ */
+async function gracefulShutdown(server, { timeoutMs = SHUTDOWN_TIMEOUT, cleanup = async () => {} } = {}) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('shutting down, draining in-flight requests', { timeoutMs });
+
+  const closed = new Promise((resolve) => server.close(resolve));
+  server.closeIdleConnections();
+
+  let timer;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(true), timeoutMs);
+  });
+
+  if (await Promise.race([closed.then(() => false), timedOut])) {
+    logger.warn('shutdown timed out, closing remaining connections');
+    server.closeAllConnections();
+    await closed;
+  }
+  clearTimeout(timer);
+
+  await cleanup();
+  logger.info('shutdown complete');
+}
+
+module.exports = { isShuttingDown, closeConnectionOnShutdown, gracefulShutdown };
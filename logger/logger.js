@@ -0,0 +1,60 @@
+const { createRotatingFile } = require('./rotatingFile.js');
+
+// ระดับที่มีเลขน้อยกว่าสำคัญกว่า LOG_LEVEL=warn จะเขียนเฉพาะ error และ warn
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Error แปลงเป็น JSON ตรงๆ ไม่ได้ (ได้ {}) ดึงฟิลด์ที่ใช้ไล่ปัญหาออกมาเอง
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+}
+
+/**
+ * * สร้าง logger ที่เขียน JSON บรรทัดละหนึ่ง log: { time, level, msg, ...fields }
+ * * outputs คือรายการปลายทางที่มีเมธอด write(line) เช่น stdout และไฟล์ที่หมุนรายวัน
+ * * level เป็น silent เพื่อปิด log ทั้งหมด
+ */
+function createLogger({ level = 'info', outputs = [], fields = {} } = {}) {
+  const threshold = level === 'silent' ? -1 : LEVELS[level] ?? LEVELS.info;
+
+  function write(entryLevel, msg, extra = {}) {
+    if (LEVELS[entryLevel] > threshold) return;
+
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...fields };
+    for (const [key, value] of Object.entries(extra)) {
+      entry[key] = serialize(value);
+    }
+    const line = JSON.stringify(entry);
+    for (const output of outputs) {
+      output.write(line);
+    }
+  }
+
+  const logger = {
+    level,
+    // logger ลูกที่ใส่ fields เพิ่มให้ทุก log เช่น requestId
+    child(childFields) {
+      return createLogger({ level, outputs, fields: { ...fields, ...childFields } });
+    },
+  };
+  for (const name of Object.keys(LEVELS)) {
+    logger[name] = (msg, extra) => write(name, msg, extra);
+  }
+  return logger;
+}
+
+const stdout = { write: (line) => process.stdout.write(`${line}\n`) };
+
+// LOG_LEVEL (ค่าเริ่มต้น info), LOG_DIR (ค่าเริ่มต้น logs ตั้งเป็นค่าว่างเพื่อไม่เขียนไฟล์) และ LOG_MAX_FILES (ค่าเริ่มต้น 14 วัน)
+const logDir = process.env.LOG_DIR === undefined ? 'logs' : process.env.LOG_DIR;
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  outputs: [
+    stdout,
+    ...(logDir ? [createRotatingFile({ dir: logDir, maxFiles: Number(process.env.LOG_MAX_FILES) || 14 })] : []),
+  ],
+});
+
+module.exports = { logger, createLogger, LEVELS };
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * * ไฟล์ log แยกรายวัน ชื่อ <prefix>-YYYY-MM-DD.log ในโฟลเดอร์ dir
+ * * เปลี่ยนไปเขียนไฟล์ใหม่เมื่อขึ้นวันใหม่ (ตามเวลา UTC) และลบไฟล์เก่าให้เหลือไม่เกิน maxFiles ไฟล์
+ */
+function createRotatingFile({ dir, prefix = 'app', maxFiles = 14, now = () => new Date() }) {
+  let currentDate = null;
+  let stream = null;
+
+  const fileName = (date) => `${prefix}-${date}.log`;
+  const isLogFile = (file) => file.startsWith(`${prefix}-`) && file.endsWith('.log');
+
+  // ชื่อไฟล์มีวันที่แบบ YYYY-MM-DD เรียงตามตัวอักษรก็คือเรียงตามวัน
+  function prune() {
+    const files = fs.readdirSync(dir).filter(isLogFile).sort();
+    for (const file of files.slice(0, Math.max(0, files.length - maxFiles))) {
+      fs.unlinkSync(path.join(dir, file));
+    }
+  }
+
+  function open(date) {
+    if (stream) stream.end();
+    fs.mkdirSync(dir, { recursive: true });
+    // เปิดไฟล์แบบ sync ให้ไฟล์มีอยู่จริงก่อน prune นับจำนวนไฟล์
+    stream = fs.createWriteStream(null, { fd: fs.openSync(path.join(dir, fileName(date)), 'a') });
+    stream.on('error', (error) => {
+      process.stderr.write(`Cannot write log file: ${error.message}\n`);
+    });
+    currentDate = date;
+    prune();
+  }
+
+  return {
+    write(line) {
+      const date = now().toISOString().slice(0, 10);
+      if (date !== currentDate) open(date);
+      stream.write(`${line}\n`);
+    },
+
+    close() {
+      return new Promise((resolve) => {
+        if (!stream) return resolve();
+        stream.end(resolve);
+        stream = null;
+        currentDate = null;
+      });
+    },
+  };
+}
+
+module.exports = { createRotatingFile };
@@ -0,0 +1,20 @@
+const { createTransport } = require('./transports.js');
+const templates = require('./templates.js');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'IT Occupation <no-reply@it-occupation.local>';
+
+// สร้างตั้งแต่ตอนโหลด ตั้งค่าผิด (เช่น console ตอน production) เซิฟเวอร์จะไม่เริ่มทำงาน
+let transport = createTransport();
+
+// ส่งอีเมลจาก template ตามชื่อ เช่น sendMail('passwordReset', to, { link })
+async function sendMail(template, to, data) {
+  const { subject, text } = templates[template](data);
+  await transport.send({ from: MAIL_FROM, to, subject, text, template });
+}
+
+// แทนที่ transport เช่น เขียนลงไฟล์ตอนทดสอบ
+function setMailTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+module.exports = { sendMail, setMailTransport };
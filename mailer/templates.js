@@ -0,0 +1,25 @@
+// อีเมลแต่ละแบบคืน { subject, text } เขียนทั้งภาษาไทยและอังกฤษในฉบับเดียว
+
+exports.passwordReset = ({ link, expiresInMinutes }) => ({
+  subject: 'ตั้งรหัสผ่านใหม่ / Reset your password',
+  text: [
+    `กดลิงก์นี้เพื่อตั้งรหัสผ่านใหม่ (ใช้ได้ครั้งเดียวภายใน ${expiresInMinutes} นาที)`,
+    link,
+    'ถ้าคุณไม่ได้ขอตั้งรหัสผ่านใหม่ ไม่ต้องทำอะไร',
+    '',
+    `Open this link to reset your password (single use, expires in ${expiresInMinutes} minutes)`,
+    link,
+    'If you did not request a password reset, you can ignore this email.',
+  ].join('\n'),
+});
+
+exports.emailVerification = ({ link, expiresInHours }) => ({
+  subject: 'ยืนยันอีเมล / Verify your email',
+  text: [
+    `กดลิงก์นี้เพื่อยืนยันอีเมลของคุณ (ใช้ได้ภายใน ${expiresInHours} ชั่วโมง)`,
+    link,
+    '',
+    `Open this link to verify your email address (expires in ${expiresInHours} hours)`,
+    link,
+  ].join('\n'),
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { logger } = require('../logger/logger.js');
+
+/**
+ * * transport คือปลายทางของอีเมล ต้องมีเมธอด async send({ from, to, subject, text, template })
+ * * smtp ส่งจริง ส่วน console และ file ใช้ตอนพัฒนาเท่านั้น
+ */
+
+// ไม่ส่งจริง log แค่ผู้รับและชื่อ template ห้าม log เนื้อหาเพราะลิงก์ในอีเมลมี token
+function createConsoleTransport(log = logger) {
+  return {
+    async send(message) {
+      log.info('mail not delivered (console transport)', { to: message.to, template: message.template });
+    },
+  };
+}
+
+// เขียนอีเมลแต่ละฉบับเป็นไฟล์ JSON ใน dir ชื่อไฟล์ขึ้นต้นด้วยเวลาจึงเรียงตามลำดับที่ส่ง
+function createFileTransport({ dir }) {
+  return {
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    },
+  };
+}
+
+// ส่งผ่าน SMTP ด้วย nodemailer (port 465 ใช้ TLS ตั้งแต่ต้น port อื่นใช้ STARTTLS)
+function createSmtpTransport({ host, port = 587, user, pass }, log = logger) {
+  if (!host) {
+    throw new Error('SMTP_HOST environment variable is required for MAIL_TRANSPORT=smtp');
+  }
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    async send({ from, to, subject, text, template }) {
+      await transporter.sendMail({ from, to, subject, text });
+      log.info('mail sent', { to, template });
+    },
+  };
+}
+
+/**
+ * * MAIL_TRANSPORT=smtp (ตั้งค่าด้วย SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ * * console (ค่าเริ่มต้นตอนพัฒนา) หรือ file (เขียนลง MAIL_DIR ค่าเริ่มต้นโฟลเดอร์ mail)
+ * * console และ file ไม่ส่งอีเมลจริง และ file เก็บลิงก์พร้อม token ไว้ในไฟล์ จึงห้ามใช้ตอน production
+ */
+function createTransport(type = process.env.MAIL_TRANSPORT || 'console', env = process.env) {
+  if ((type === 'console' || type === 'file') && env.NODE_ENV === 'production') {
+    throw new Error(`MAIL_TRANSPORT=${type} cannot be used in production, set MAIL_TRANSPORT=smtp`);
+  }
+  if (type === 'console') return createConsoleTransport();
+  if (type === 'file') return createFileTransport({ dir: env.MAIL_DIR || 'mail' });
+  if (type === 'smtp') {
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || undefined,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+    });
+  }
+  throw new Error(`Unknown MAIL_TRANSPORT "${type}", expected smtp, console or file`);
+}
+
+module.exports = { createConsoleTransport, createFileTransport, createSmtpTransport, createTransport };
@@ -0,0 +1,128 @@
+// ตัวเก็บ metric แบบเรียบง่ายที่ส่งออกเป็น Prometheus text format (version 0.0.4)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// key ของชุด label เรียงตามลำดับใน labelNames เพื่อให้ชุดเดียวกันได้ key เดียวกันเสมอ
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter({ name, help, labelNames = [] }) {
+    const series = new Map();
+    metrics.push({
+      name, help, type: 'counter',
+      lines: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      },
+    };
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const series = new Map();
+    metrics.push({
+      name, help, type: 'histogram',
+      lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bucket, index) => `${name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+    });
+    return {
+      observe(labels, value) {
+        const key = labelKey(labelNames, labels);
+        const entry = series.get(key)
+          || { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bucket, index) => {
+          if (value <= bucket) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      },
+    };
+  }
+
+  // ค่าที่อ่านตอน scrape: collect() คืน [{ labels, value }] หรือ [] ถ้ายังไม่มีข้อมูล
+  function gauge({ name, help, collect }) {
+    metrics.push({
+      name, help, type: 'gauge',
+      lines: () => collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`),
+    });
+  }
+
+  function render() {
+    return metrics
+      .map(({ name, help, type, lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join('\n'))
+      .join('\n') + '\n';
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+const registry = createRegistry();
+
+const httpRequestsTotal = registry.counter({
+  name: 'http_requests_total',
+  help: 'Number of HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+});
+
+const httpRequestDuration = registry.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds by method and route',
+  labelNames: ['method', 'route'],
+});
+
+const dbReconnectAttempts = registry.counter({
+  name: 'db_reconnect_attempts_total',
+  help: 'Number of attempts to reconnect to the database',
+});
+
+const rateLimitRejections = registry.counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Number of requests rejected by the rate limiter by policy',
+  labelNames: ['policy'],
+});
+
+registry.gauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the process started',
+  collect: () => [{ value: Math.round(process.uptime()) }],
+});
+
+registry.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: () => [{ value: process.memoryUsage().rss }],
+});
+
+module.exports = {
+  registry,
+  createRegistry,
+  httpRequestsTotal,
+  httpRequestDuration,
+  dbReconnectAttempts,
+  rateLimitRejections,
+};
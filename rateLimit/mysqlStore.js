@@ -0,0 +1,69 @@
+const { executeQuery } = require('../database/initDatabase.js');
+const { logger } = require('../logger/logger.js');
+
+// ลบแถวที่หมดช่วงเวลาแล้วไม่บ่อยกว่านี้ (มิลลิวินาที)
+const CLEANUP_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * * store ของ express-rate-limit ที่นับคำขอในตาราง rate_limits (migration 011)
+ * * ใช้ร่วมกันได้หลาย instance และไม่หายเมื่อรีสตาร์ท แต่ละ policy ต้องมี store ของตัวเองโดยแยกด้วย prefix
+ * * reset_at เก็บเป็น epoch milliseconds จึงไม่ขึ้นกับ timezone ของฐานข้อมูล
+ */
+function createMysqlStore({ prefix, query = executeQuery, now = Date.now }) {
+  let windowMs = 60 * 1000;
+  let lastCleanup = 0;
+
+  const keyOf = (key) => `${prefix}:${key}`;
+
+  async function cleanup(time) {
+    if (time - lastCleanup < CLEANUP_INTERVAL) return;
+    lastCleanup = time;
+    try {
+      await query('DELETE FROM rate_limits WHERE reset_at <= ?', [time]);
+    } catch (err) {
+      logger.warn('rate limit cleanup failed', { err });
+    }
+  }
+
+  return {
+    prefix,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    // เริ่มนับใหม่ถ้าช่วงเวลาเดิมหมดแล้ว (hits ต้องถูกกำหนดก่อน reset_at เพราะ MySQL ใช้ค่าใหม่ในคอลัมน์ถัดไป)
+    async increment(key) {
+      const time = now();
+      await query(
+        `INSERT INTO rate_limits (rate_key, hits, reset_at) VALUES (?, 1, ?)
+         ON DUPLICATE KEY UPDATE
+           hits = IF(reset_at <= ?, 1, hits + 1),
+           reset_at = IF(reset_at <= ?, VALUES(reset_at), reset_at)`,
+        [keyOf(key), time + windowMs, time, time]
+      );
+      const [rows] = await query('SELECT hits, reset_at FROM rate_limits WHERE rate_key = ?', [keyOf(key)]);
+      cleanup(time);
+
+      const row = rows[0];
+      if (!row) {
+        return { totalHits: 1, resetTime: new Date(time + windowMs) };
+      }
+      return { totalHits: Number(row.hits), resetTime: new Date(Number(row.reset_at)) };
+    },
+
+    async decrement(key) {
+      await query('UPDATE rate_limits SET hits = GREATEST(hits - 1, 0) WHERE rate_key = ?', [keyOf(key)]);
+    },
+
+    async resetKey(key) {
+      await query('DELETE FROM rate_limits WHERE rate_key = ?', [keyOf(key)]);
+    },
+
+    async resetAll() {
+      await query('DELETE FROM rate_limits WHERE rate_key LIKE ?', [`${prefix.replace(/[\\%_]/g, (char) => `\\${char}`)}:%`]);
+    },
+  };
+}
+
+module.exports = { createMysqlStore };
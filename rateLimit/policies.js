@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'rateLimits.json');
+
+const STORES = ['memory', 'mysql'];
+// ip: IP ของผู้ขอ, email: email ใน body (เช่น login), user: ผู้ใช้จาก access token หรือ IP ถ้ายังไม่เข้าสู่ระบบ
+const KEY_TYPES = ['ip', 'email', 'user'];
+
+// แปลง pattern ของ path เป็น RegExp: * แทนหนึ่งส่วนของ path ส่วน ** แทนกี่ส่วนก็ได้
+function compilePath(pattern) {
+  const source = pattern
+    .split(/(\*\*|\*)/)
+    .map((part) => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]+';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}/?$`);
+}
+
+function invalid(name, reason) {
+  return new Error(`Invalid rate limit policy "${name}": ${reason}`);
+}
+
+function parsePolicy(policy, index) {
+  const name = policy.name || `#${index + 1}`;
+
+  if (!/^[\w-]+$/.test(name)) {
+    throw invalid(name, 'name may only contain letters, digits, "_" and "-"');
+  }
+  if (!Number.isInteger(policy.windowMs) || policy.windowMs <= 0) {
+    throw invalid(name, 'windowMs must be a positive integer');
+  }
+  if (!Number.isInteger(policy.max) || policy.max < 0) {
+    throw invalid(name, 'max must be a non-negative integer');
+  }
+  if (!KEY_TYPES.includes(policy.keyBy)) {
+    throw invalid(name, `keyBy must be one of: ${KEY_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(policy.paths) || policy.paths.length === 0) {
+    throw invalid(name, 'paths must be a non-empty array');
+  }
+
+  return {
+    name,
+    methods: policy.methods ? policy.methods.map((method) => method.toUpperCase()) : null,
+    paths: policy.paths.map(compilePath),
+    windowMs: policy.windowMs,
+    max: policy.max,
+    keyBy: policy.keyBy,
+  };
+}
+
+/**
+ * * ตรวจและเตรียม config ของ rate limit ({ store, policies })
+ * * โยน Error ตอนเริ่มเซิฟเวอร์ถ้า config ไม่ถูกต้อง แทนที่จะปล่อยให้ไม่มีการจำกัด
+ */
+function parseConfig(config) {
+  const store = config.store || 'memory';
+  if (!STORES.includes(store)) {
+    throw new Error(`Invalid rate limit store "${store}", expected one of: ${STORES.join(', ')}`);
+  }
+  if (!Array.isArray(config.policies)) {
+    throw new Error('Rate limit config must have a policies array');
+  }
+
+  const policies = config.policies.map(parsePolicy);
+  const names = new Set();
+  for (const { name } of policies) {
+    if (names.has(name)) throw invalid(name, 'name is used more than once');
+    names.add(name);
+  }
+
+  return { store, policies };
+}
+
+// อ่าน config จากไฟล์ (RATE_LIMIT_CONFIG หรือ config/rateLimits.json) RATE_LIMIT_STORE ใช้แทน store ในไฟล์ได้
+function loadConfig(file = process.env.RATE_LIMIT_CONFIG || DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (process.env.RATE_LIMIT_STORE) {
+    config.store = process.env.RATE_LIMIT_STORE;
+  }
+  return parseConfig(config);
+}
+
+function matchesPolicy(policy, req) {
+  if (policy.methods && !policy.methods.includes(req.method)) return false;
+  return policy.paths.some((pattern) => pattern.test(req.path));
+}
+
+module.exports = { loadConfig, parseConfig, matchesPolicy };
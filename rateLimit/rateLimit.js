@@ -1,14 +1,72 @@
 // rateLimiter.js
-const rateLimit = require('express-rate-limit');
-
-// สร้างฟังก์ชัน rateLimit ที่สามารถปรับแต่งการตั้งค่าได้
-function createRateLimiter(windowMs = 15 * 60 * 1000, maxRequests = 1000) {
-  return rateLimit({
-    windowMs, // กำหนดช่วงเวลาที่จำกัดจำนวนการทำคำขอ
-    max: maxRequests, // กำหนดจำนวนคำขอสูงสุด
-    message: 'คุณขอการเชื่อมต่อต่อเซิฟเวอร์มากเกินไป กรุณาลองใหม่ภายหลัง',
-    headers: true, // แสดง headers ของ rate limit
-  });
+const express = require('express');
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const { TooManyRequestsError } = require('../errors/AppError.js');
+const { rateLimitRejections } = require('../metrics/metrics.js');
+const { verifyAccessToken } = require('../auth/token.js');
+const { loadConfig, matchesPolicy } = require('./policies.js');
+const { createMysqlStore } = require('./mysqlStore.js');
+
+// id ผู้ใช้จาก access token (ตรวจแค่ลายเซ็นและวันหมดอายุ ไม่ถามฐานข้อมูลเพื่อให้ limiter เบา)
+function tokenUserId(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  const claims = verifyAccessToken(token);
+  return claims ? claims.sub : null;
+}
+
+// key ที่ใช้นับคำขอตาม keyBy ของ policy คืน null ถ้าคำขอนี้ไม่มีข้อมูลให้นับ (เช่น ไม่ได้ส่ง email)
+function clientKey(policy, req) {
+  if (policy.keyBy === 'email') {
+    const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    return email ? `email:${email}` : null;
+  }
+  if (policy.keyBy === 'user') {
+    const userId = tokenUserId(req);
+    if (userId) return `user:${userId}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+function createStore(storeType, policy) {
+  return storeType === 'mysql' ? createMysqlStore({ prefix: policy.name }) : new MemoryStore();
+}
+
+/**
+ * * สร้าง middleware จำกัดจำนวนคำขอตาม policy ใน config (ดู config/rateLimits.json)
+ * * ทุก policy ที่ตรงกับ method และ path ของคำขอจะถูกนับแยกกัน ถ้าเกินตัวใดตัวหนึ่งจะได้ 429
+ * * ต้องอยู่หลัง express.json() เพื่อให้ policy ที่ keyBy เป็น email อ่าน body ได้
+ */
+function createRateLimiter(config = loadConfig()) {
+  const router = express.Router();
+  const stores = [];
+
+  for (const policy of config.policies) {
+    const store = createStore(config.store, policy);
+    stores.push(store);
+
+    router.use(rateLimit({
+      windowMs: policy.windowMs,
+      limit: policy.max,
+      store,
+      skip: (req) => !matchesPolicy(policy, req) || !clientKey(policy, req),
+      keyGenerator: (req) => clientKey(policy, req),
+      standardHeaders: 'draft-7',
+      legacyHeaders: false,
+      // ฐานข้อมูลล่มไม่ควรทำให้ทุกคำขอถูกปฏิเสธ
+      passOnStoreError: true,
+      // ตอบผ่าน errorHandler ให้รูปแบบเดียวกับ error อื่น
+      handler: (req, res, next) => {
+        rateLimitRejections.inc({ policy: policy.name });
+        next(new TooManyRequestsError());
+      },
+    }));
+  }
+
+  // ล้างตัวนับทั้งหมด (ใช้ตอนทดสอบ)
+  router.resetAll = () => Promise.all(stores.map((store) => store.resetAll()));
+
+  return router;
 }
 
 module.exports = { createRateLimiter };
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin.js');
+const { requireAuth, requireRole } = require('../Middleware/middleWare.js');
+const { validate } = require('../validators/validate.js');
+const contentValidators = require('../validators/content.js');
+
+// route admin (เฉพาะ role admin)
+router.use('/admin', requireAuth, requireRole('admin'));
+
+for (const [path, handlers, schemas] of [
+  ['videos', adminController.videos, { create: contentValidators.createVideo, update: contentValidators.updateVideo }],
+  ['occupations', adminController.occupations, { create: contentValidators.createOccupation, update: contentValidators.updateOccupation }],
+  ['questions', adminController.questions, { create: contentValidators.createQuestion, update: contentValidators.updateQuestion }],
+  ['skills', adminController.skills, { create: contentValidators.createSkill, update: contentValidators.updateSkill }],
+  ['education-paths', adminController.educationPaths, { create: contentValidators.createEducationPath, update: contentValidators.updateEducationPath }],
+]) {
+  router.get(`/admin/${path}`, handlers.list);
+  router.post(`/admin/${path}`, validate(schemas.create), handlers.create);
+  router.put(`/admin/${path}/:id`, validate(schemas.update), handlers.update);
+  router.delete(`/admin/${path}/:id`, validate(contentValidators.idOnly), handlers.remove);
+}
+router.post('/admin/occupations/:id/videos', validate(contentValidators.occupationVideo), adminController.linkOccupationVideo);
+router.delete('/admin/occupations/:id/videos/:videoId', validate(contentValidators.occupationVideoParams), adminController.unlinkOccupationVideo);
+router.post('/admin/occupations/:id/skills', validate(contentValidators.occupationSkill), adminController.linkOccupationSkill);
+router.delete('/admin/occupations/:id/skills/:skillId', validate(contentValidators.occupationSkillParams), adminController.unlinkOccupationSkill);
+router.post('/admin/occupations/:id/related', validate(contentValidators.relatedOccupation), adminController.relateOccupation);
+router.delete('/admin/occupations/:id/related/:relatedId', validate(contentValidators.relatedOccupationParams), adminController.unrelateOccupation);
+router.put('/admin/users/:id/role', validate(contentValidators.userRole), adminController.updateUserRole);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analytics.js');
+const { requireAuth, requireRole } = require('../Middleware/middleWare.js');
+
+// สถิติสำหรับทีมงาน (admin และ moderator)
+router.use('/analytics', requireAuth, requireRole('admin', 'moderator'));
+
+router.get('/analytics/submissions', analyticsController.getSubmissionStats);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const commentController = require('../controllers/comment.js');
+const reactionsController = require('../controllers/reactions.js');
+const { requireAuth, requirePostingAuth } = require('../Middleware/middleWare.js');
+const { validate } = require('../validators/validate.js');
+const forumValidators = require('../validators/forum.js');
+
+router.get('/comments/:thread_id', validate(forumValidators.threadIdParam), commentController.getCommentsByThread);
+router.post('/comments', requirePostingAuth, validate(forumValidators.createComment), commentController.postComment);
+router.put('/comments/:id', requireAuth, validate(forumValidators.updateComment), commentController.updateComment);
+router.delete('/comments/:id', requireAuth, validate(forumValidators.idOnly), commentController.deleteComment);
+router.post('/comments/:id/reactions', requireAuth, validate(forumValidators.reaction), reactionsController.addCommentReaction);
+router.delete('/comments/:id/reactions/:reaction', requireAuth, validate(forumValidators.idOnly), reactionsController.removeCommentReaction);
+
+module.exports = router;
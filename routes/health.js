@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const healthController = require('../controllers/health.js');
+
+// อยู่นอก /api และก่อน rate limiter เพื่อให้ health check ของ Render และ Prometheus เรียกได้เสมอ
+router.get('/healthz', healthController.healthz);
+router.get('/readyz', healthController.readyz);
+router.get('/metrics', healthController.metrics);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+
+// จำ prefix (/api) ไว้ให้ requestMetrics เพราะ req.baseUrl ถูกคืนค่าเมื่อ error ถูกส่งออกจาก router
+router.use((req, res, next) => {
+  res.locals.baseUrl = req.baseUrl;
+  next();
+});
+
+router.use(require('./users.js'));
+router.use(require('./occupations.js'));
+router.use(require('./videos.js'));
+router.use(require('./media.js'));
+router.use(require('./threads.js'));
+router.use(require('./comments.js'));
+router.use(require('./submissions.js'));
+router.use(require('./search.js'));
+router.use(require('./recommendations.js'));
+router.use(require('./analytics.js'));
+router.use(require('./moderation.js'));
+router.use(require('./admin.js'));
+
+module.exports = router;
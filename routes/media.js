@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const mediaController = require('../controllers/media.js');
+const { requireAuth, requireRole, requireSelf } = require('../Middleware/middleWare.js');
+const { uploadImage } = require('../Middleware/upload.js');
+const { validate } = require('../validators/validate.js');
+const contentValidators = require('../validators/content.js');
+
+// อัปโหลดรูปแบบ multipart/form-data ฟิลด์ image
+router.post('/videos/:id/thumbnail', requireAuth, requireRole('admin'), validate(contentValidators.idOnly), uploadImage('image'), mediaController.uploadVideoThumbnail);
+router.post('/users/:id/avatar', requireAuth, requireSelf, validate(contentValidators.idOnly), uploadImage('image'), mediaController.uploadAvatar);
+router.delete('/users/:id/avatar', requireAuth, requireSelf, validate(contentValidators.idOnly), mediaController.deleteAvatar);
+
+module.exports = router;
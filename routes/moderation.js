@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const moderationController = require('../controllers/moderation.js');
+const { requireAuth, requireRole } = require('../Middleware/middleWare.js');
+const { validate } = require('../validators/validate.js');
+const forumValidators = require('../validators/forum.js');
+
+// ผู้ใช้ทุกคนที่เข้าสู่ระบบรายงานเนื้อหาได้
+router.post('/reports', requireAuth, validate(forumValidators.report), moderationController.createReport);
+
+// route moderation (role moderator หรือ admin)
+router.use('/moderation', requireAuth, requireRole('moderator', 'admin'));
+
+router.get('/moderation/reports', moderationController.getReports);
+router.post('/moderation/reports/:id/dismiss', validate(forumValidators.idOnly), moderationController.dismissReport);
+router.get('/moderation/log', moderationController.getLog);
+router.post('/moderation/:type/:id/hide', validate(forumValidators.moderate), moderationController.hideContent);
+router.post('/moderation/:type/:id/restore', validate(forumValidators.moderate), moderationController.restoreContent);
+router.delete('/moderation/:type/:id', validate(forumValidators.moderate), moderationController.deleteContent);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const occupationController = require('../controllers/occupation.js');
+const { validate } = require('../validators/validate.js');
+const contentValidators = require('../validators/content.js');
+
+router.get('/occupation', occupationController.getAllOccupation);
+router.get('/occupation/:id', validate(contentValidators.idOnly), occupationController.getOccupationById);
+router.get('/occupation/:id/videos', validate(contentValidators.idOnly), occupationController.getVideosByOccupation);
+router.get('/question/:id', occupationController.getQuestionByOccupation);
+
+module.exports = router;
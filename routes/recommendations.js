@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const recommendationsController = require('../controllers/recommendations.js');
+const { requireAuth } = require('../Middleware/middleWare.js');
+
+// วิดีโอและกระทู้ที่แนะนำจากผลแบบทดสอบล่าสุดและประวัติการดูวิดีโอ
+router.get('/recommendations', requireAuth, recommendationsController.getRecommendations);
+
+module.exports = router;
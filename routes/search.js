@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/search.js');
+
+router.get('/search', searchController.search);
+
+module.exports = router;
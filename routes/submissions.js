@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const formController = require('../controllers/form-submissions.js');
+const quizController = require('../controllers/quiz.js');
+const { optionalAuth } = require('../Middleware/middleWare.js');
+const { validate } = require('../validators/validate.js');
+const submissionValidators = require('../validators/submissions.js');
+
+router.get('/form-submission-counts', formController.formsubmissions);
+router.post('/form-submissions', validate(submissionValidators.formSubmission), formController.formPost);
+router.post('/quiz/submit', optionalAuth, validate(submissionValidators.quizSubmission), quizController.submitQuiz);
+
+module.exports = router;
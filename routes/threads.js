@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const threadsController = require('../controllers/threads.js');
+const reactionsController = require('../controllers/reactions.js');
+const { requireAuth, requirePostingAuth } = require('../Middleware/middleWare.js');
+const { validate } = require('../validators/validate.js');
+const forumValidators = require('../validators/forum.js');
+
+router.get('/threads', threadsController.getThreads);
+router.get('/threads/:id', validate(forumValidators.idOnly), threadsController.getThreadById);
+router.post('/threads_post', requirePostingAuth, validate(forumValidators.createThread), threadsController.postThreads);
+router.put('/threads/:id', requireAuth, validate(forumValidators.updateThread), threadsController.updateThread);
+router.delete('/threads/:id', requireAuth, validate(forumValidators.idOnly), threadsController.deleteThread);
+router.put('/threads/:id/accepted-answer', requireAuth, validate(forumValidators.acceptAnswer), threadsController.acceptAnswer);
+router.post('/threads/:id/reactions', requireAuth, validate(forumValidators.reaction), reactionsController.addThreadReaction);
+router.delete('/threads/:id/reactions/:reaction', requireAuth, validate(forumValidators.idOnly), reactionsController.removeThreadReaction);
+
+module.exports = router;
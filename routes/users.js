@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/user.js');
+const quizController = require('../controllers/quiz.js');
+const accountController = require('../controllers/account.js');
+const { requireAuth, requireSelf, requireSelfOrRole } = require('../Middleware/middleWare.js');
+const { validate } = require('../validators/validate.js');
+const userValidators = require('../validators/users.js');
+
+// route GET users
+router.get('/users/:id', requireAuth, requireSelf, userController.getUserById);
+// ทีมแนะแนวติดตามผลแบบทดสอบของนักเรียนได้
+router.get('/users/:id/results', requireAuth, requireSelfOrRole('counselor', 'admin'), quizController.getUserResults);
+router.get('/users/:id/results/:attemptId', requireAuth, requireSelfOrRole('counselor', 'admin'), quizController.getUserResultById);
+router.get('/users/:id/activity', userController.getUserActivity);
+
+// route POST users
+router.post('/login', validate(userValidators.login), userController.loginUser);
+router.post('/register', validate(userValidators.register), userController.createUser);
+router.post('/token/refresh', validate(userValidators.refreshToken), userController.refreshToken);
+router.post('/logout', requireAuth, validate(userValidators.logout), userController.logoutUser);
+router.post('/auth/line', validate(userValidators.lineToken), userController.loginWithLine);
+router.post('/auth/line/link', requireAuth, validate(userValidators.lineToken), userController.linkLine);
+
+// รหัสผ่านและการยืนยันอีเมล
+router.post('/password/forgot', validate(userValidators.forgotPassword), accountController.forgotPassword);
+router.post('/password/reset', validate(userValidators.resetPassword), accountController.resetPassword);
+router.post('/password/change', requireAuth, validate(userValidators.changePassword), accountController.changePassword);
+router.post('/email/verify', validate(userValidators.verifyEmail), accountController.verifyEmail);
+router.post('/email/verify/resend', requireAuth, accountController.resendVerification);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const videosController = require('../controllers/videospath.js');
+const { requireAuth, requireRole, requireSelf } = require('../Middleware/middleWare.js');
+const { validate } = require('../validators/validate.js');
+const contentValidators = require('../validators/content.js');
+
+router.get('/videospath', videosController.getAllVideos);
+router.get('/videospath/:id', validate(contentValidators.idOnly), videosController.getVideoById);
+router.post('/videospath-post', requireAuth, requireRole('admin'), validate(contentValidators.createVideo), videosController.createVideo);
+
+// ความคืบหน้าการดูของผู้ใช้
+router.post('/videos/:id/progress', requireAuth, validate(contentValidators.videoProgress), videosController.recordProgress);
+router.get('/users/:id/videos', requireAuth, requireSelf, validate(contentValidators.idOnly), videosController.getUserVideos);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// รูปแบบไฟล์ที่รับ (ตรวจจากเนื้อไฟล์จริง ไม่ใช่นามสกุลหรือ Content-Type ที่ผู้ใช้ส่งมา)
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// ขนาดที่สร้างจากรูปต้นฉบับ ทุกขนาดตัดขอบให้เต็มกรอบ (fit: cover) และบันทึกเป็น WebP
+const IMAGE_PRESETS = {
+  thumbnail: {
+    small: { width: 320, height: 180 },
+    medium: { width: 640, height: 360 },
+    large: { width: 1280, height: 720 },
+  },
+  avatar: {
+    small: { width: 64, height: 64 },
+    medium: { width: 128, height: 128 },
+    large: { width: 256, height: 256 },
+  },
+};
+
+// รูปแบบไฟล์ของ buffer ถ้าไม่ใช่รูปที่รับได้คืน null
+async function imageFormat(buffer) {
+  try {
+    const { format } = await sharp(buffer).metadata();
+    return ACCEPTED_FORMATS.includes(format) ? format : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * * ย่อรูปตาม preset แล้วเก็บลง storage ชื่อไฟล์คือ {prefix}/{hash}-{size}.webp
+ * * คืน { small: { key, url, width, height }, ... } ใช้กับ removeImage() ตอนเปลี่ยนหรือลบรูป
+ */
+async function saveImage(storage, buffer, { preset, prefix }) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+  const variants = {};
+
+  for (const [size, { width, height }] of Object.entries(IMAGE_PRESETS[preset])) {
+    const output = await sharp(buffer)
+      .rotate()
+      .resize(width, height, { fit: 'cover' })
+      .webp({ quality: 80 })
+      .toBuffer();
+    const key = `${prefix}/${hash}-${size}.webp`;
+    const url = await storage.put(key, output, { contentType: 'image/webp' });
+    variants[size] = { key, url, width, height };
+  }
+
+  return variants;
+}
+
+async function removeImage(storage, variants) {
+  await Promise.all(Object.values(variants || {}).map((variant) => storage.remove(variant.key)));
+}
+
+module.exports = { ACCEPTED_FORMATS, IMAGE_PRESETS, imageFormat, saveImage, removeImage };
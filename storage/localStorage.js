@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// ไฟล์ชื่อเดิมมีเนื้อหาเดิมเสมอ (ชื่อไฟล์มี hash ของรูป) จึงให้ browser และ CDN แคชได้นาน
+const CACHE_MAX_AGE = '365d';
+
+/**
+ * * เก็บไฟล์ในโฟลเดอร์ dir บนเครื่อง เสิร์ฟผ่าน serve() ที่ mount ไว้ใน app.js (/uploads)
+ * * baseUrl คือ prefix ของ URL ที่คืนให้ผู้ใช้ เช่น /uploads หรือ https://api.example.com/uploads
+ */
+function createLocalStorage({ dir, baseUrl = '/uploads' }) {
+  const root = path.resolve(dir);
+
+  // key มาจากเซิฟเวอร์เอง แต่กันไว้ไม่ให้เขียนออกนอก dir
+  function resolve(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  }
+
+  return {
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+      return this.url(key);
+    },
+
+    // ไม่มีไฟล์อยู่แล้วถือว่าลบสำเร็จ
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    url(key) {
+      return `${baseUrl.replace(/\/$/, '')}/${key}`;
+    },
+
+    serve: express.static(root, { maxAge: CACHE_MAX_AGE, immutable: true, index: false }),
+  };
+}
+
+module.exports = { createLocalStorage };
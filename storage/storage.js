@@ -0,0 +1,41 @@
+const { createLocalStorage } = require('./localStorage.js');
+
+/**
+ * * storage คือที่เก็บไฟล์ที่ผู้ใช้อัปโหลด ต้องมีเมธอด async put(key, buffer, { contentType }) คืน URL,
+ * * async remove(key) และ url(key) ถ้าเสิร์ฟไฟล์เองได้ให้มี serve เป็น middleware ด้วย
+ * * ที่เก็บแบบ S3 เพิ่มได้โดยเขียน storage ที่มีเมธอดเดียวกัน (ไม่ต้องมี serve เพราะใช้ URL ของ bucket)
+ */
+
+// STORAGE_DRIVER=local (ค่าเริ่มต้น) เก็บใน UPLOAD_DIR (ค่าเริ่มต้นโฟลเดอร์ uploads)
+function createStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+  if (driver === 'local') {
+    return createLocalStorage({
+      dir: process.env.UPLOAD_DIR || 'uploads',
+      baseUrl: process.env.UPLOAD_BASE_URL || '/uploads',
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}", expected local`);
+}
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+// แทนที่ storage เช่น ใช้โฟลเดอร์ชั่วคราวตอนทดสอบ
+function setStorage(nextStorage) {
+  storage = nextStorage;
+}
+
+// เสิร์ฟไฟล์ของ storage ปัจจุบัน (mount ที่ /uploads) storage ที่ไม่มี serve จะได้ 404
+function serveUploads(req, res, next) {
+  const { serve } = getStorage();
+  if (!serve) return next();
+  return serve(req, res, next);
+}
+
+module.exports = { createStorage, getStorage, setStorage, serveUploads };
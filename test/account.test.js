@@ -0,0 +1,243 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { createTestServer } = require('./helpers/testServer.js');
+const { hashToken, verifyAccessToken } = require('../auth/token.js');
+const { createConsoleTransport, createFileTransport, createTransport } = require('../mailer/transports.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+// token ในลิงก์ของอีเมลฉบับล่าสุด
+const mailedToken = () => /token=([\w-]+)/.exec(server.mail[server.mail.length - 1].text)[1];
+
+describe('account lockout', () => {
+  it('counts a wrong password as a failed attempt', async () => {
+    const password = await bcrypt.hash('secret123', 4);
+    server.db.when('SELECT * FROM users WHERE email = ?', [{ id: 1, email: 'a@example.com', password }]);
+
+    const res = await server.request('POST', '/api/login', { body: { email: 'a@example.com', password: 'wrong' } });
+
+    assert.equal(res.status, 401);
+    const [update] = server.db.calls('failed_login_attempts + 1');
+    assert.deepEqual(update.params, [5, 900, 5, 1]);
+  });
+
+  it('rejects a locked account even with the right password', async () => {
+    const password = await bcrypt.hash('secret123', 4);
+    server.db
+      .when('SELECT * FROM users WHERE email = ?', [{ id: 1, email: 'a@example.com', password, locked_until: new Date() }])
+      .when('TIMESTAMPDIFF', [{ remaining: 120 }]);
+
+    const res = await server.request('POST', '/api/login', { body: { email: 'a@example.com', password: 'secret123' } });
+
+    assert.equal(res.status, 423);
+    assert.equal(res.body.error.code, 'ACCOUNT_LOCKED');
+    assert.equal(res.headers.get('retry-after'), '120');
+    assert.equal(server.db.calls('INSERT INTO refresh_tokens').length, 0);
+  });
+
+  it('clears failed attempts after a successful login', async () => {
+    const password = await bcrypt.hash('secret123', 4);
+    server.db
+      .when('SELECT * FROM users WHERE email = ?', [{ id: 1, email: 'a@example.com', password, failed_login_attempts: 3, locked_until: null }]);
+
+    const res = await server.request('POST', '/api/login', { body: { email: 'a@example.com', password: 'secret123' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.failed_login_attempts, undefined);
+    assert.equal(server.db.calls('SET failed_login_attempts = 0, locked_until = NULL').length, 1);
+  });
+});
+
+describe('password reset', () => {
+  it('mails a single-use reset link to a known email', async () => {
+    server.db.when('SELECT id, email FROM users WHERE email = ?', [{ id: 4, email: 'a@example.com' }]);
+
+    const res = await server.request('POST', '/api/password/forgot', { body: { email: 'a@example.com' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(server.mail.length, 1);
+    assert.equal(server.mail[0].to, 'a@example.com');
+    const [insert] = server.db.calls('INSERT INTO user_tokens');
+    assert.deepEqual(insert.params.slice(0, 3), [4, 'password_reset', hashToken(mailedToken())]);
+    assert.equal(server.db.calls('UPDATE user_tokens SET used_at').length, 1);
+  });
+
+  it('answers the same way for an unknown email without sending mail', async () => {
+    const res = await server.request('POST', '/api/password/forgot', { body: { email: 'nobody@example.com' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(server.mail.length, 0);
+  });
+
+  it('sets a new password, unlocks the account and logs out every device', async () => {
+    server.db.when('FROM user_tokens WHERE token_hash = ?', (params) =>
+      params[0] === hashToken('reset-token') && params[1] === 'password_reset' ? [{ id: 9, user_id: 4 }] : []
+    );
+
+    const res = await server.request('POST', '/api/password/reset', {
+      body: { token: 'reset-token', password: 'newpass123' },
+    });
+
+    assert.equal(res.status, 200);
+    const [update] = server.db.calls('UPDATE users SET password = ?');
+    assert.ok(update.sql.includes('locked_until = NULL'));
+    assert.ok(await bcrypt.compare('newpass123', update.params[0]));
+    assert.equal(update.params[1], 4);
+    assert.ok(update.sql.includes('token_version = token_version + 1'));
+    assert.deepEqual(server.db.calls('UPDATE refresh_tokens SET revoked_at')[0].params, [4]);
+  });
+
+  it('rejects access tokens issued before the reset', async () => {
+    const token = server.loginAs({ id: 4 });
+    server.db.when('FROM user_tokens WHERE token_hash = ?', [{ id: 9, user_id: 4 }]);
+
+    const reset = await server.request('POST', '/api/password/reset', {
+      body: { token: 'reset-token', password: 'newpass123' },
+    });
+    assert.equal(reset.status, 200);
+
+    // แถวของผู้ใช้หลังรีเซ็ตมี token_version เพิ่มขึ้นแล้ว
+    server.loginAs({ id: 4, token_version: 1 });
+    const res = await server.request('GET', '/api/users/4', { token });
+
+    assert.equal(res.status, 401);
+  });
+
+  it('rejects a token that was already used', async () => {
+    server.db
+      .when('FROM user_tokens WHERE token_hash = ?', [{ id: 9, user_id: 4 }])
+      .when('UPDATE user_tokens SET used_at = NOW() WHERE id = ?', { affectedRows: 0 });
+
+    const res = await server.request('POST', '/api/password/reset', {
+      body: { token: 'reset-token', password: 'newpass123' },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'INVALID_TOKEN');
+    assert.equal(server.db.calls('UPDATE users SET password').length, 0);
+  });
+});
+
+describe('POST /api/password/change', () => {
+  it('requires the current password', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT password FROM users WHERE id = ?', [{ password: await bcrypt.hash('secret123', 4) }]);
+
+    const res = await server.request('POST', '/api/password/change', {
+      token,
+      body: { currentPassword: 'wrong', newPassword: 'newpass123' },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'INVALID_CURRENT_PASSWORD');
+  });
+
+  it('changes the password and issues new tokens', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT password FROM users WHERE id = ?', [{ password: await bcrypt.hash('secret123', 4) }]);
+
+    const res = await server.request('POST', '/api/password/change', {
+      token,
+      body: { currentPassword: 'secret123', newPassword: 'newpass123' },
+    });
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.refreshToken);
+    const [update] = server.db.calls('UPDATE users SET password = ?');
+    assert.ok(await bcrypt.compare('newpass123', update.params[0]));
+    assert.ok(update.sql.includes('token_version = token_version + 1'));
+    assert.equal(server.db.calls('UPDATE refresh_tokens SET revoked_at').length, 1);
+    // token ใหม่ต้องตรงกับ token_version หลังเปลี่ยนรหัสผ่าน ส่วน token เดิมใช้ไม่ได้แล้ว
+    assert.equal(verifyAccessToken(res.body.data.accessToken).ver, 1);
+    assert.equal(verifyAccessToken(token).ver, 0);
+  });
+});
+
+describe('email verification', () => {
+  it('mails a verification link on registration', async () => {
+    server.db.when('INSERT INTO users', { insertId: 7, affectedRows: 1 });
+
+    const res = await server.request('POST', '/api/register', {
+      body: { email: 'a@example.com', password: 'secret123', fname: 'Ann', lname: 'Lee' },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(server.mail[0].to, 'a@example.com');
+    const [insert] = server.db.calls('INSERT INTO user_tokens');
+    assert.deepEqual(insert.params.slice(0, 3), [7, 'email_verification', hashToken(mailedToken())]);
+  });
+
+  it('marks the email as verified', async () => {
+    server.db.when('FROM user_tokens WHERE token_hash = ?', [{ id: 2, user_id: 7 }]);
+
+    const res = await server.request('POST', '/api/email/verify', { body: { token: 'verify-token' } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('SET email_verified_at')[0].params, [7]);
+  });
+
+  it('does not resend to a verified email', async () => {
+    const token = server.loginAs({ id: 1, email_verified_at: new Date() });
+
+    const res = await server.request('POST', '/api/email/verify/resend', { token });
+
+    assert.equal(res.status, 409);
+    assert.equal(server.mail.length, 0);
+  });
+});
+
+describe('createFileTransport', () => {
+  it('writes each message as a JSON file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    try {
+      await createFileTransport({ dir }).send({ to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+
+      const files = fs.readdirSync(dir);
+      assert.equal(files.length, 1);
+      const message = JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8'));
+      assert.equal(message.to, 'a@example.com');
+      assert.equal(message.text, 'Hello');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('createConsoleTransport', () => {
+  it('logs only the recipient and template, never the link', async () => {
+    const logged = [];
+    const log = { info: (message, fields) => logged.push({ message, fields }) };
+
+    await createConsoleTransport(log).send({
+      to: 'a@example.com',
+      subject: 'Reset',
+      text: 'https://example.com/reset-password?token=secret',
+      template: 'passwordReset',
+    });
+
+    assert.deepEqual(logged[0].fields, { to: 'a@example.com', template: 'passwordReset' });
+    assert.ok(!JSON.stringify(logged).includes('secret'));
+  });
+});
+
+describe('createTransport', () => {
+  it('refuses console and file transports in production', () => {
+    for (const type of ['console', 'file']) {
+      assert.throws(() => createTransport(type, { NODE_ENV: 'production' }), /cannot be used in production/);
+    }
+  });
+
+  it('requires SMTP_HOST for the smtp transport', () => {
+    assert.throws(() => createTransport('smtp', { NODE_ENV: 'production' }), /SMTP_HOST/);
+    const transport = createTransport('smtp', { NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com' });
+    assert.equal(typeof transport.send, 'function');
+  });
+});
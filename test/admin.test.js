@@ -0,0 +1,172 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer } = require('./helpers/testServer.js');
+const { dbError } = require('./helpers/fakeDatabase.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+describe('admin routes', () => {
+  it('are forbidden for non-admins', async () => {
+    const token = server.loginAs({ id: 1, role: 'moderator' });
+    const res = await server.request('GET', '/api/admin/occupations', { token });
+    assert.equal(res.status, 403);
+  });
+
+  it('create an occupation', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    server.db.when('INSERT INTO occupation', { insertId: 3, affectedRows: 1 });
+
+    const res = await server.request('POST', '/api/admin/occupations', { token, body: { name: 'Tester', ignored: 1 } });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.id, 3);
+    assert.equal(server.db.calls('INSERT INTO occupation')[0].sql, 'INSERT INTO occupation (name) VALUES (?)');
+  });
+
+  it('reject a question without required fields', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    const res = await server.request('POST', '/api/admin/questions', { token, body: { question_type: 1 } });
+    assert.equal(res.status, 400);
+  });
+
+  it('update a video', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+
+    const res = await server.request('PUT', '/api/admin/videos/4', { token, body: { video_title: 'New' } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('UPDATE videospath')[0].params, ['New', 4]);
+  });
+
+  it('return 404 when deleting a missing question', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    server.db.when('DELETE FROM question', { affectedRows: 0 });
+
+    const res = await server.request('DELETE', '/api/admin/questions/4', { token });
+    assert.equal(res.status, 404);
+  });
+
+  it('return 409 when deleting a referenced occupation', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    server.db.when('DELETE FROM occupation', () => { throw dbError('ER_ROW_IS_REFERENCED_2'); });
+
+    const res = await server.request('DELETE', '/api/admin/occupations/1', { token });
+    assert.equal(res.status, 409);
+  });
+
+  it('change a user role', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+
+    const res = await server.request('PUT', '/api/admin/users/5/role', { token, body: { role: 'moderator' } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('UPDATE users SET role')[0].params, ['moderator', 5]);
+  });
+
+  it('link a video to an occupation', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+
+    const res = await server.request('POST', '/api/admin/occupations/2/videos', { token, body: { video_id: 5, sort_order: 3 } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('INSERT INTO occupation_videos')[0].params, [2, 5, 3]);
+  });
+
+  it('return 404 when linking a missing video', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    server.db.when('INSERT INTO occupation_videos', () => { throw dbError('ER_NO_REFERENCED_ROW_2'); });
+
+    const res = await server.request('POST', '/api/admin/occupations/2/videos', { token, body: { video_id: 99 } });
+    assert.equal(res.status, 404);
+  });
+
+  it('unlink a video from an occupation', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+
+    const res = await server.request('DELETE', '/api/admin/occupations/2/videos/5', { token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('DELETE FROM occupation_videos')[0].params, [2, 5]);
+
+    server.db.when('DELETE FROM occupation_videos', { affectedRows: 0 });
+    assert.equal((await server.request('DELETE', '/api/admin/occupations/2/videos/5', { token })).status, 404);
+  });
+
+  it('reject a salary range where the maximum is below the minimum', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+
+    const res = await server.request('PUT', '/api/admin/occupations/1', { token, body: { salary_min: 50000, salary_max: 20000 } });
+    assert.equal(res.status, 400);
+
+    const ok = await server.request('PUT', '/api/admin/occupations/1', { token, body: { salary_min: 20000, salary_max: 50000 } });
+    assert.equal(ok.status, 200);
+    assert.deepEqual(server.db.calls('UPDATE occupation SET')[0].params, [20000, 50000, 1]);
+  });
+
+  it('compare a partial salary update with the stored range', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    server.db.when('SELECT salary_min, salary_max FROM occupation', [{ salary_min: 30000, salary_max: 60000 }]);
+
+    const low = await server.request('PUT', '/api/admin/occupations/1', { token, body: { salary_max: 20000 } });
+    assert.equal(low.status, 400);
+    assert.equal(low.body.error.code, 'INVALID_SALARY_RANGE');
+
+    const high = await server.request('PUT', '/api/admin/occupations/1', { token, body: { salary_min: 70000 } });
+    assert.equal(high.status, 400);
+    assert.equal(server.db.calls('UPDATE occupation SET').length, 0);
+
+    const ok = await server.request('PUT', '/api/admin/occupations/1', { token, body: { salary_max: 90000 } });
+    assert.equal(ok.status, 200);
+    assert.deepEqual(server.db.calls('UPDATE occupation SET')[0].params, [90000, 1]);
+  });
+
+  it('return 400 when an education path points to a missing occupation', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    server.db.when('INSERT INTO education_paths', () => { throw dbError('ER_NO_REFERENCED_ROW_2'); });
+
+    const res = await server.request('POST', '/api/admin/education-paths', {
+      token,
+      body: { occupation_id: 99, kind: 'degree', title: 'Computer Science' },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'INVALID_REFERENCE');
+  });
+
+  it('return 409 for a duplicate skill name', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    server.db.when('INSERT INTO skills', () => { throw dbError('ER_DUP_ENTRY'); });
+
+    const res = await server.request('POST', '/api/admin/skills', { token, body: { name: 'SQL' } });
+    assert.equal(res.status, 409);
+  });
+
+  it('link a skill to an occupation', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+
+    const res = await server.request('POST', '/api/admin/occupations/2/skills', { token, body: { skill_id: 3, level: 'advanced' } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('INSERT INTO occupation_skills')[0].params, [2, 3, 'advanced', 0]);
+    assert.equal((await server.request('POST', '/api/admin/occupations/2/skills', { token, body: { skill_id: 3, level: 'expert' } })).status, 400);
+  });
+
+  it('relate occupations in both directions with a single row', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+
+    const res = await server.request('POST', '/api/admin/occupations/5/related', { token, body: { related_id: 2 } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('INSERT IGNORE INTO occupation_relations')[0].params, [2, 5]);
+
+    assert.equal((await server.request('DELETE', '/api/admin/occupations/2/related/5', { token })).status, 200);
+    assert.deepEqual(server.db.calls('DELETE FROM occupation_relations')[0].params, [2, 5]);
+
+    const self = await server.request('POST', '/api/admin/occupations/2/related', { token, body: { related_id: 2 } });
+    assert.equal(self.status, 400);
+    assert.equal(self.body.error.code, 'SELF_RELATION');
+  });
+});
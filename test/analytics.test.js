@@ -0,0 +1,104 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer } = require('./helpers/testServer.js');
+const { timeZoneOffset, formatOffset } = require('../utils/timezone.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+const stats = (query, token) => server.request('GET', `/api/analytics/submissions?${query}`, { token });
+
+describe('GET /api/analytics/submissions', () => {
+  it('is only available to admins and moderators', async () => {
+    assert.equal((await stats('')).status, 401);
+    assert.equal((await stats('', server.loginAs({ id: 1 }))).status, 403);
+    assert.equal((await stats('', server.loginAs({ id: 2, role: 'moderator' }))).status, 200);
+  });
+
+  it('returns daily counts in the requested time zone and fills empty days', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    server.db.when(/^SELECT DATE_FORMAT\(DATE\(local_at\), '%Y-%m-%d'\) AS bucket, COUNT/, [{ bucket: '2024-01-02', count: 4 }]);
+
+    const res = await stats('from=2024-01-01&to=2024-01-03&tz=Asia/Bangkok', token);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.series.map((point) => [point.bucket, point.count]), [
+      ['2024-01-01', 0],
+      ['2024-01-02', 4],
+      ['2024-01-03', 0],
+    ]);
+    assert.equal(res.body.data.total, 4);
+    const [query] = server.db.calls('FROM form_submissions f WHERE');
+    assert.deepEqual(query.params, ['+07:00', '2024-01-01 00:00:00', '+07:00', '2024-01-04 00:00:00', '+07:00']);
+  });
+
+  it('groups weeks from Monday and months from the first day', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+
+    const weeks = await stats('from=2024-01-03&to=2024-01-16&interval=week', token);
+    assert.deepEqual(weeks.body.data.series.map((point) => point.bucket), ['2024-01-01', '2024-01-08', '2024-01-15']);
+    assert.match(server.db.calls('FROM form_submissions f WHERE')[0].sql, /WEEKDAY\(local_at\)/);
+
+    const months = await stats('from=2024-01-15&to=2024-03-02&interval=month', token);
+    assert.deepEqual(months.body.data.series.map((point) => point.bucket), ['2024-01-01', '2024-02-01', '2024-03-01']);
+  });
+
+  it('breaks counts down by top-matched occupation', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    server.db
+      .when(/^SELECT DATE_FORMAT\(DATE\(local_at\), '%Y-%m-%d'\) AS bucket, COUNT/, [
+        { bucket: '2024-01-01', count: 5 },
+        { bucket: '2024-01-02', count: 3 },
+      ])
+      .when('JOIN quiz_attempts a', [
+        { bucket: '2024-01-01', occupation_id: 1, name: 'Developer', count: 3 },
+        { bucket: '2024-01-01', occupation_id: 2, name: 'Network Engineer', count: 1 },
+        { bucket: '2024-01-02', occupation_id: 2, name: 'Network Engineer', count: 1 },
+        { bucket: '2024-01-02', occupation_id: 1, name: 'Developer', count: 2 },
+      ]);
+
+    const res = await stats('from=2024-01-01&to=2024-01-02&top=1', token);
+
+    assert.deepEqual(res.body.data.byOccupation, [{ occupation_id: 1, name: 'Developer', count: 5 }]);
+    assert.deepEqual(res.body.data.series.map((point) => point.byOccupation), [
+      [{ occupation_id: 1, count: 3 }],
+      [{ occupation_id: 1, count: 2 }],
+    ]);
+  });
+
+  it('uses the named zone across daylight saving changes when the database supports it', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+
+    const unsupported = await stats('from=2024-03-01&to=2024-03-31&tz=America/New_York', token);
+    assert.equal(unsupported.status, 400);
+    assert.equal(unsupported.body.error.code, 'UNSUPPORTED_TIMEZONE');
+
+    server.db.when("SELECT CONVERT_TZ('2000-01-01 00:00:00'", [{ converted: '1999-12-31 19:00:00' }]);
+    const res = await stats('from=2024-03-01&to=2024-03-31&tz=America/New_York', token);
+    assert.equal(res.status, 200);
+    assert.equal(server.db.calls('FROM form_submissions f WHERE')[0].params[0], 'America/New_York');
+  });
+
+  it('rejects invalid parameters with 400', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+
+    for (const query of ['tz=Mars/Base', 'interval=hour', 'interval=constructor', 'interval=__proto__', 'from=2024-02-30', 'from=2024-02-01&to=2024-01-01', 'from=2020-01-01&to=2024-01-01', 'top=0']) {
+      const res = await stats(query, token);
+      assert.equal(res.status, 400, query);
+      assert.equal(res.body.error.code, 'INVALID_QUERY', query);
+    }
+  });
+});
+
+describe('timezone helpers', () => {
+  it('computes offsets from UTC', () => {
+    assert.equal(timeZoneOffset('Asia/Bangkok', new Date('2024-06-01T00:00:00Z')), 420);
+    assert.equal(timeZoneOffset('America/New_York', new Date('2024-01-15T12:00:00Z')), -300);
+    assert.equal(timeZoneOffset('America/New_York', new Date('2024-07-15T12:00:00Z')), -240);
+    assert.equal(formatOffset(420), '+07:00');
+    assert.equal(formatOffset(-330), '-05:30');
+  });
+});
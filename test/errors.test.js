@@ -0,0 +1,58 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer } = require('./helpers/testServer.js');
+const { dbError } = require('./helpers/fakeDatabase.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+describe('error responses', () => {
+  it('wrap successful responses in the envelope', async () => {
+    const res = await server.request('GET', '/api/occupation');
+    assert.deepEqual(res.body, { success: true, data: [], error: null });
+  });
+
+  it('return 404 for unknown routes', async () => {
+    const res = await server.request('GET', '/api/nope');
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error.code, 'ROUTE_NOT_FOUND');
+  });
+
+  it('return 400 for a malformed JSON body', async () => {
+    const res = await server.request('POST', '/api/login', {
+      headers: { 'Content-Type': 'application/json' },
+      rawBody: '{"email":',
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'INVALID_JSON');
+  });
+
+  it('use the language from Accept-Language', async () => {
+    const th = await server.request('GET', '/api/users/1/results');
+    const en = await server.request('GET', '/api/users/1/results', { headers: { 'Accept-Language': 'en' } });
+
+    assert.equal(th.status, 401);
+    assert.deepEqual(th.body.error, { code: 'UNAUTHORIZED', message: 'กรุณาเข้าสู่ระบบ' });
+    assert.deepEqual(en.body.error, { code: 'UNAUTHORIZED', message: 'Authentication required' });
+  });
+
+  it('never leak SQL errors to the client', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('INSERT INTO threads', () => {
+      const error = dbError('ER_BAD_FIELD_ERROR');
+      error.sqlMessage = "Unknown column 'title' in 'field list'";
+      throw error;
+    });
+
+    const res = await server.request('POST', '/api/threads_post', { token, body: { title: 'Need advice', content: 'b' } });
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error.code, 'INTERNAL_ERROR');
+    assert.doesNotMatch(JSON.stringify(res.body), /ER_BAD_FIELD_ERROR|Unknown column/);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTestServer } = require('./helpers/testServer.js');
+const { dbError } = require('./helpers/fakeDatabase.js');
+const { createRegistry } = require('../metrics/metrics.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+const migrationNames = fs.readdirSync(path.join(__dirname, '..', 'database', 'migrations'))
+  .filter((file) => file.endsWith('.js'))
+  .map((file) => path.basename(file, '.js'));
+
+describe('GET /healthz', () => {
+  it('reports the process as alive without touching the database', async () => {
+    const res = await server.request('GET', '/healthz');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.status, 'ok');
+    assert.equal(server.db.queries.length, 0);
+  });
+});
+
+describe('GET /readyz', () => {
+  it('is ready when the database answers and all migrations are applied', async () => {
+    server.db.when('SELECT name FROM schema_migrations', migrationNames.map((name) => ({ name })));
+
+    const res = await server.request('GET', '/readyz');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.status, 'ready');
+    assert.deepEqual(res.body.data.checks.map(({ check, ok }) => [check, ok]), [['database', true], ['migrations', true]]);
+  });
+
+  it('returns 503 when migrations are pending', async () => {
+    server.db.when('SELECT name FROM schema_migrations', migrationNames.slice(0, -1).map((name) => ({ name })));
+
+    const res = await server.request('GET', '/readyz');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.error.code, 'NOT_READY');
+    assert.match(res.body.error.details[1].error, new RegExp(migrationNames[migrationNames.length - 1]));
+    assert.equal(server.db.calls('CREATE TABLE').length, 0);
+  });
+
+  it('returns 503 when the database is unreachable', async () => {
+    server.db.when('SELECT 1', () => { throw dbError('ECONNREFUSED'); });
+
+    const res = await server.request('GET', '/readyz');
+
+    assert.equal(res.status, 503);
+    assert.deepEqual(res.body.error.details.map(({ check, ok }) => [check, ok]), [['database', false], ['migrations', false]]);
+  });
+});
+
+describe('GET /metrics', () => {
+  it('exposes request counts and latency per route in Prometheus format', async () => {
+    await server.request('GET', '/api/threads/5');
+
+    const res = await server.request('GET', '/metrics');
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(res.body, /^http_requests_total\{method="GET",route="\/api\/threads\/:id",status="404"\} \d+$/m);
+    assert.match(res.body, /^http_request_duration_seconds_count\{method="GET",route="\/api\/threads\/:id"\} \d+$/m);
+    assert.match(res.body, /^# TYPE db_reconnect_attempts_total counter$/m);
+    assert.match(res.body, /^# TYPE rate_limit_rejections_total counter$/m);
+  });
+
+  it('requires the token when METRICS_TOKEN is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-me';
+    try {
+      assert.equal((await server.request('GET', '/metrics')).status, 401);
+      assert.equal((await server.request('GET', '/metrics', { token: 'scrape-me' })).status, 200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+});
+
+describe('createRegistry', () => {
+  it('renders counters, histograms and gauges', () => {
+    const registry = createRegistry();
+    const counter = registry.counter({ name: 'jobs_total', help: 'Jobs', labelNames: ['queue'] });
+    const histogram = registry.histogram({ name: 'job_seconds', help: 'Job time', buckets: [0.1, 1] });
+    registry.gauge({ name: 'workers', help: 'Workers', collect: () => [{ value: 3 }] });
+
+    counter.inc({ queue: 'mail "fast"' });
+    counter.inc({ queue: 'mail "fast"' }, 2);
+    histogram.observe({}, 0.5);
+
+    assert.equal(registry.render(), [
+      '# HELP jobs_total Jobs',
+      '# TYPE jobs_total counter',
+      'jobs_total{queue="mail \\"fast\\""} 3',
+      '# HELP job_seconds Job time',
+      '# TYPE job_seconds histogram',
+      'job_seconds_bucket{le="0.1"} 0',
+      'job_seconds_bucket{le="1"} 1',
+      'job_seconds_bucket{le="+Inf"} 1',
+      'job_seconds_sum 0.5',
+      'job_seconds_count 1',
+      '# HELP workers Workers',
+      '# TYPE workers gauge',
+      'workers 3',
+      '',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * * ฐานข้อมูลจำลองในหน่วยความจำ ใช้แทน pool ของ mysql2 ผ่าน setDatabase
+ * * กำหนดผลลัพธ์ของแต่ละคำสั่ง SQL ด้วย when(pattern, result)
+ * * pattern เป็น RegExp หรือข้อความบางส่วนของ SQL (ช่องว่างถูกยุบเป็นช่องเดียวแล้ว)
+ * * result เป็นแถวข้อมูล หรือฟังก์ชัน (params, sql) => แถวข้อมูล ซึ่งโยน error ได้
+ * * คำสั่งที่ไม่ได้กำหนด: SELECT (รวมถึง WITH ... SELECT) คืน [] ส่วนคำสั่งอื่นคืน { insertId, affectedRows: 1 }
+ */
+function createFakeDatabase() {
+  const handlers = [];
+  const queries = [];
+
+  const matches = (pattern, sql) =>
+    pattern instanceof RegExp ? pattern.test(sql) : sql.includes(pattern);
+
+  return {
+    queries,
+
+    // handler ที่กำหนดทีหลังมีลำดับความสำคัญกว่า
+    when(pattern, result) {
+      handlers.unshift({ pattern, result });
+      return this;
+    },
+
+    // คำสั่ง SQL ที่ถูกเรียกและตรงกับ pattern
+    calls(pattern) {
+      return queries.filter((query) => matches(pattern, query.sql));
+    },
+
+    async query(sql, params = []) {
+      const normalized = sql.replace(/\s+/g, ' ').trim();
+      queries.push({ sql: normalized, params });
+
+      const handler = handlers.find((candidate) => matches(candidate.pattern, normalized));
+      if (!handler) {
+        if (/^(SELECT|WITH)/i.test(normalized)) return [[]];
+        return [{ insertId: queries.length, affectedRows: 1 }];
+      }
+
+      const result = typeof handler.result === 'function'
+        ? await handler.result(params, normalized)
+        : handler.result;
+      return [result];
+    },
+  };
+}
+
+// สร้าง error แบบเดียวกับที่ mysql2 โยน เช่น dbError('ER_DUP_ENTRY')
+function dbError(code, message = code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = { createFakeDatabase, dbError };
@@ -0,0 +1,82 @@
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || 'test-secret';
+// ปิด log ระหว่างทดสอบ และไม่เขียนไฟล์ log
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.LOG_DIR = '';
+// ตัวนับ rate limit อยู่ในหน่วยความจำและถูกล้างทุกครั้งที่ reset()
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const { setDatabase } = require('../../database/initDatabase.js');
+const { signAccessToken } = require('../../auth/token.js');
+const { setMailTransport } = require('../../mailer/mailer.js');
+const { app, rateLimiter } = require('../../app.js');
+const { createFakeDatabase } = require('./fakeDatabase.js');
+
+/**
+ * * เปิดเซิฟเวอร์บนพอร์ตสุ่ม ใช้กับ before/after ของ node:test
+ * * server.db จะเป็นฐานข้อมูลจำลองตัวใหม่ทุกครั้งที่เรียก server.reset()
+ * * อีเมลที่ส่งจะไม่ถูกส่งจริงแต่เก็บไว้ใน server.mail
+ */
+function createTestServer() {
+  let listener;
+  let baseUrl;
+
+  const server = {
+    db: null,
+    mail: [],
+
+    async start() {
+      await new Promise((resolve) => {
+        listener = app.listen(0, '127.0.0.1', resolve);
+      });
+      baseUrl = `http://127.0.0.1:${listener.address().port}`;
+      server.reset();
+    },
+
+    async stop() {
+      await new Promise((resolve) => listener.close(resolve));
+    },
+
+    reset() {
+      server.db = createFakeDatabase();
+      setDatabase(server.db);
+      rateLimiter.resetAll();
+      server.mail = [];
+      setMailTransport({ send: async (message) => { server.mail.push(message); } });
+    },
+
+    // ส่งคำขอไปยัง API คืน { status, headers, body } (rawBody คือข้อความที่ส่งไปตรงๆ โดยไม่แปลงเป็น JSON)
+    async request(method, path, { body, rawBody, token, headers = {} } = {}) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...headers,
+        },
+        body: rawBody !== undefined ? rawBody : body !== undefined ? JSON.stringify(body) : undefined,
+      });
+
+      const text = await response.text();
+      let parsed = text;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        // ไม่ใช่ JSON ใช้ข้อความเดิม
+      }
+      return { status: response.status, headers: response.headers, body: parsed };
+    },
+
+    // เข้าสู่ระบบเป็นผู้ใช้ที่กำหนด (ให้ requireAuth หาเจอในฐานข้อมูลจำลอง) คืน access token
+    loginAs(user) {
+      const account = { role: 'student', email: `user${user.id}@example.com`, ...user };
+      server.db.when(/^SELECT \* FROM users WHERE id = \?/, (params) =>
+        String(params[0]) === String(account.id) ? [{ ...account }] : []
+      );
+      return signAccessToken(account);
+    },
+  };
+
+  return server;
+}
+
+module.exports = { createTestServer };
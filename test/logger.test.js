@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createLogger } = require('../logger/logger.js');
+const { createRotatingFile } = require('../logger/rotatingFile.js');
+const { createRequestLogger } = require('../Middleware/requestLogger.js');
+
+// ปลายทางที่เก็บ log ไว้ในหน่วยความจำ
+function memoryOutput() {
+  const lines = [];
+  return { lines, entries: () => lines.map((line) => JSON.parse(line)), write: (line) => lines.push(line) };
+}
+
+describe('createLogger', () => {
+  it('writes one JSON object per line with the level and message', () => {
+    const output = memoryOutput();
+    createLogger({ outputs: [output] }).info('hello', { userId: 3 });
+
+    const [entry] = output.entries();
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.msg, 'hello');
+    assert.equal(entry.userId, 3);
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  });
+
+  it('drops entries below the configured level', () => {
+    const output = memoryOutput();
+    const logger = createLogger({ level: 'warn', outputs: [output] });
+
+    logger.debug('d');
+    logger.info('i');
+    logger.warn('w');
+    logger.error('e');
+
+    assert.deepEqual(output.entries().map((entry) => entry.level), ['warn', 'error']);
+  });
+
+  it('writes nothing when silent', () => {
+    const output = memoryOutput();
+    createLogger({ level: 'silent', outputs: [output] }).error('e');
+    assert.equal(output.lines.length, 0);
+  });
+
+  it('adds child fields and serializes errors', () => {
+    const output = memoryOutput();
+    const error = Object.assign(new Error('boom'), { code: 'ER_X' });
+    createLogger({ outputs: [output] }).child({ requestId: 'abc' }).error('failed', { err: error });
+
+    const [entry] = output.entries();
+    assert.equal(entry.requestId, 'abc');
+    assert.equal(entry.err.message, 'boom');
+    assert.equal(entry.err.code, 'ER_X');
+    assert.match(entry.err.stack, /boom/);
+  });
+});
+
+describe('createRotatingFile', () => {
+  let dir;
+  before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-')); });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('starts a new file each day and keeps only maxFiles files', async () => {
+    let now = new Date('2024-05-01T10:00:00Z');
+    const file = createRotatingFile({ dir, maxFiles: 2, now: () => now });
+
+    file.write('one');
+    now = new Date('2024-05-02T10:00:00Z');
+    file.write('two');
+    now = new Date('2024-05-03T10:00:00Z');
+    file.write('three');
+    await file.close();
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['app-2024-05-02.log', 'app-2024-05-03.log']);
+    assert.equal(fs.readFileSync(path.join(dir, 'app-2024-05-03.log'), 'utf8'), 'three\n');
+  });
+});
+
+describe('createRequestLogger', () => {
+  let listener;
+  let baseUrl;
+  const output = memoryOutput();
+
+  before(async () => {
+    const app = express();
+    app.use(createRequestLogger(createLogger({ outputs: [output] })));
+    app.get('/ok', (req, res) => {
+      req.user = { id: 9 };
+      res.json({});
+    });
+    app.get('/fail', (req, res) => res.status(500).json({}));
+    await new Promise((resolve) => { listener = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${listener.address().port}`;
+  });
+  after(() => new Promise((resolve) => listener.close(resolve)));
+
+  it('echoes a generated request id and logs the request', async () => {
+    const res = await fetch(`${baseUrl}/ok?x=1`);
+    const requestId = res.headers.get('x-request-id');
+
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    const entry = output.entries().find((line) => line.requestId === requestId);
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.method, 'GET');
+    assert.equal(entry.url, '/ok?x=1');
+    assert.equal(entry.status, 200);
+    assert.equal(entry.userId, 9);
+    assert.equal(typeof entry.latencyMs, 'number');
+    assert.ok(entry.ip);
+  });
+
+  it('keeps a valid incoming X-Request-Id and logs server errors at error level', async () => {
+    const res = await fetch(`${baseUrl}/fail`, { headers: { 'X-Request-Id': 'frontend-123' } });
+
+    assert.equal(res.headers.get('x-request-id'), 'frontend-123');
+    const entry = output.entries().find((line) => line.requestId === 'frontend-123');
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.userId, null);
+  });
+
+  it('replaces an unsafe incoming request id', async () => {
+    const res = await fetch(`${baseUrl}/ok`, { headers: { 'X-Request-Id': 'bad id\twith spaces' } });
+    assert.notEqual(res.headers.get('x-request-id'), 'bad id\twith spaces');
+  });
+});
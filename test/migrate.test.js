@@ -0,0 +1,101 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setDatabase } = require('../database/initDatabase.js');
+const { createFakeDatabase, dbError } = require('./helpers/fakeDatabase.js');
+const migrate = require('../database/migrate.js');
+
+console.log = () => {};
+
+let db;
+let applied;
+
+beforeEach(() => {
+  applied = ['001_create_core_tables'];
+  db = createFakeDatabase()
+    // ไม่มีผู้ใช้ที่ทำให้ย้อน migration ไม่ได้
+    .when('SELECT COUNT(*) AS count FROM users', [{ count: 0 }])
+    .when('SELECT name FROM schema_migrations', () => applied.map((name) => ({ name })))
+    .when('INSERT INTO schema_migrations', (params) => {
+      applied.push(params[0]);
+      return { affectedRows: 1 };
+    })
+    .when('DELETE FROM schema_migrations', (params) => {
+      applied = applied.filter((name) => name !== params[0]);
+      return { affectedRows: 1 };
+    });
+  setDatabase(db);
+});
+
+describe('migrations', () => {
+  it('apply only pending migrations in order', async () => {
+    const names = await migrate.up();
+
+    assert.equal(names[0], '002_create_quiz_attempts');
+    assert.deepEqual(names, [...names].sort());
+    assert.ok(!names.includes('001_create_core_tables'));
+    assert.equal(db.calls('CREATE TABLE IF NOT EXISTS users').length, 0);
+    assert.equal(db.calls('CREATE TABLE IF NOT EXISTS quiz_attempts').length, 1);
+  });
+
+  it('limit the number of steps', async () => {
+    assert.deepEqual(await migrate.up(1), ['002_create_quiz_attempts']);
+  });
+
+  it('revert the latest applied migration', async () => {
+    await migrate.up();
+    const latest = applied[applied.length - 1];
+
+    assert.deepEqual(await migrate.down(), [latest]);
+    assert.ok(!applied.includes(latest));
+  });
+
+  it('report status', async () => {
+    const status = await migrate.status();
+
+    assert.deepEqual(status[0], { name: '001_create_core_tables', applied: true });
+    assert.equal(status[1].applied, false);
+    assert.equal(db.calls('CREATE TABLE').length, 0);
+  });
+
+  it('report every migration as pending without creating the table when it does not exist', async () => {
+    db.when('SELECT name FROM schema_migrations', () => { throw dbError('ER_NO_SUCH_TABLE'); });
+
+    const status = await migrate.status();
+
+    assert.ok(status.every((migration) => !migration.applied));
+    assert.equal(db.calls('CREATE TABLE').length, 0);
+  });
+
+  it('refuse to revert LINE login while LINE-only users exist', async () => {
+    const migration = require('../database/migrations/005_add_line_login.js');
+    const query = (sql, params) => db.query(sql, params);
+
+    db.when('WHERE email IS NULL OR password IS NULL', [{ count: 2 }]);
+    await assert.rejects(migration.down(query), /2 user\(s\) have no email or password/);
+    assert.equal(db.calls('ALTER TABLE users').length, 0);
+
+    db.when('WHERE email IS NULL OR password IS NULL', [{ count: 0 }]);
+    await migration.down(query);
+    assert.equal(db.calls('ALTER TABLE users').length, 1);
+  });
+
+  it('refuse to revert the counselor role while counselors exist', async () => {
+    const migration = require('../database/migrations/019_add_counselor_role.js');
+    const query = (sql, params) => db.query(sql, params);
+
+    db.when("WHERE role = 'counselor'", [{ count: 1 }]);
+    await assert.rejects(migration.down(query), /1 user\(s\) have the counselor role/);
+    assert.equal(db.calls('ALTER TABLE users').length, 0);
+  });
+
+  it('define up and down for every migration', () => {
+    const fs = require('fs');
+    const path = require('path');
+    const dir = path.join(__dirname, '../database/migrations');
+    for (const file of fs.readdirSync(dir)) {
+      const migration = require(path.join(dir, file));
+      assert.equal(typeof migration.up, 'function', file);
+      assert.equal(typeof migration.down, 'function', file);
+    }
+  });
+});
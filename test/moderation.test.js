@@ -0,0 +1,129 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer } = require('./helpers/testServer.js');
+const { dbError } = require('./helpers/fakeDatabase.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+describe('POST /api/reports', () => {
+  it('reports a comment', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT * FROM comments WHERE id = ?', [{ id: 5 }]);
+    server.db.when('INSERT INTO reports', { insertId: 11, affectedRows: 1 });
+
+    const res = await server.request('POST', '/api/reports', {
+      token,
+      body: { content_type: 'comment', content_id: 5, reason: 'spam' },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.reportId, 11);
+    assert.deepEqual(server.db.calls('INSERT INTO reports')[0].params, ['comment', 5, 1, 'spam']);
+  });
+
+  it('rejects a duplicate report with 409', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT * FROM threads WHERE id = ?', [{ id: 5 }]);
+    server.db.when('INSERT INTO reports', () => { throw dbError('ER_DUP_ENTRY'); });
+
+    const res = await server.request('POST', '/api/reports', {
+      token,
+      body: { content_type: 'thread', content_id: 5, reason: 'spam' },
+    });
+    assert.equal(res.status, 409);
+  });
+
+  it('returns 404 for missing content and 400 for a bad type', async () => {
+    const token = server.loginAs({ id: 1 });
+
+    const missing = await server.request('POST', '/api/reports', {
+      token,
+      body: { content_type: 'thread', content_id: 5, reason: 'spam' },
+    });
+    const invalid = await server.request('POST', '/api/reports', {
+      token,
+      body: { content_type: 'user', content_id: 5, reason: 'spam' },
+    });
+
+    assert.equal(missing.status, 404);
+    assert.equal(invalid.status, 400);
+  });
+});
+
+describe('moderation queue', () => {
+  it('is forbidden for students', async () => {
+    const token = server.loginAs({ id: 1, role: 'student' });
+    const res = await server.request('GET', '/api/moderation/reports', { token });
+    assert.equal(res.status, 403);
+  });
+
+  it('lists open reports for moderators', async () => {
+    const token = server.loginAs({ id: 2, role: 'moderator' });
+    server.db.when('FROM reports r', [{ id: 1, content_type: 'thread', content_id: 3 }]);
+
+    const res = await server.request('GET', '/api/moderation/reports', { token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.length, 1);
+    assert.deepEqual(server.db.calls('FROM reports r')[0].params, ['open']);
+  });
+
+  it('hides content, resolves its reports and records the action', async () => {
+    const token = server.loginAs({ id: 2, role: 'moderator' });
+    server.db.when('SELECT * FROM threads WHERE id = ?', [{ id: 3 }]);
+
+    const res = await server.request('POST', '/api/moderation/threads/3/hide', {
+      token,
+      body: { report_id: 1, reason: 'abusive' },
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('UPDATE threads SET is_hidden')[0].params, [1, 3]);
+    assert.deepEqual(server.db.calls("UPDATE reports SET status = 'resolved'")[0].params, [2, 'thread', 3]);
+    assert.deepEqual(server.db.calls('INSERT INTO moderation_log')[0].params, [2, 'hide', 'thread', 3, 1, 'abusive']);
+  });
+
+  it('restores hidden content', async () => {
+    const token = server.loginAs({ id: 2, role: 'admin' });
+    server.db.when('SELECT * FROM comments WHERE id = ?', [{ id: 4 }]);
+
+    const res = await server.request('POST', '/api/moderation/comments/4/restore', { token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('UPDATE comments SET is_hidden')[0].params, [0, 4]);
+  });
+
+  it('permanently deletes content', async () => {
+    const token = server.loginAs({ id: 2, role: 'moderator' });
+    server.db.when('SELECT * FROM comments WHERE id = ?', [{ id: 4 }]);
+
+    const res = await server.request('DELETE', '/api/moderation/comments/4', { token });
+
+    assert.equal(res.status, 200);
+    assert.equal(server.db.calls('DELETE FROM comments WHERE id = ?').length, 1);
+  });
+
+  it('dismisses a report', async () => {
+    const token = server.loginAs({ id: 2, role: 'moderator' });
+    server.db.when("SELECT * FROM reports WHERE id = ? AND status = 'open'", [{ id: 6, content_type: 'thread', content_id: 3 }]);
+
+    const res = await server.request('POST', '/api/moderation/reports/6/dismiss', { token, body: {} });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls("SET status = 'dismissed'")[0].params, [2, 6]);
+  });
+
+  it('returns the audit log', async () => {
+    const token = server.loginAs({ id: 2, role: 'moderator' });
+    server.db.when('FROM moderation_log l', [{ id: 1, action: 'hide' }]);
+
+    const res = await server.request('GET', '/api/moderation/log?content_type=thread&content_id=3', { token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('FROM moderation_log l')[0].params, ['thread', '3']);
+  });
+});
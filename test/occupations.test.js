@@ -0,0 +1,118 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer } = require('./helpers/testServer.js');
+const { dbError } = require('./helpers/fakeDatabase.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+describe('GET /api/occupation', () => {
+  it('lists occupations', async () => {
+    server.db.when('SELECT * FROM occupation', [{ id: 1, name: 'Developer' }]);
+
+    const res = await server.request('GET', '/api/occupation');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data, [{ id: 1, name: 'Developer' }]);
+  });
+
+  it('returns an empty list when there are no occupations', async () => {
+    const res = await server.request('GET', '/api/occupation');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data, []);
+  });
+
+  it('returns 500 without leaking database errors', async () => {
+    server.db.when('SELECT * FROM occupation', () => { throw dbError('ER_NO_SUCH_TABLE'); });
+
+    const res = await server.request('GET', '/api/occupation');
+
+    assert.equal(res.status, 500);
+    assert.deepEqual(res.body, {
+      success: false,
+      data: null,
+      error: { code: 'INTERNAL_ERROR', message: 'เกิดข้อผิดพลาดภายในเซิฟเวอร์' },
+    });
+  });
+});
+
+describe('GET /api/question/:id', () => {
+  it('lists questions of the given type', async () => {
+    server.db.when('SELECT id FROM occupation WHERE id = ?', [{ id: 1 }]);
+    server.db.when('SELECT * FROM question WHERE question_type = ?', [{ id: 3, question_type: 1 }]);
+
+    const res = await server.request('GET', '/api/question/1');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.length, 1);
+    assert.deepEqual(server.db.calls('FROM question')[0].params, ['1']);
+  });
+
+  it('returns 404 for an unknown occupation', async () => {
+    const res = await server.request('GET', '/api/question/99', { headers: { 'Accept-Language': 'en' } });
+
+    assert.equal(res.status, 404);
+    assert.deepEqual(res.body.error, { code: 'NOT_FOUND', message: 'Occupation not found' });
+  });
+});
+
+describe('GET /api/occupation/:id/videos', () => {
+  it('lists the linked videos in their configured order', async () => {
+    server.db
+      .when('SELECT id FROM occupation WHERE id = ?', [{ id: 1 }])
+      .when('FROM occupation_videos ov', [{ id: 5, video_title: 'Intro', sort_order: 0 }]);
+
+    const res = await server.request('GET', '/api/occupation/1/videos');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data, [{ id: 5, video_title: 'Intro', sort_order: 0 }]);
+    assert.match(server.db.calls('FROM occupation_videos ov')[0].sql, /ORDER BY ov\.sort_order, v\.id$/);
+  });
+
+  it('returns 404 for an unknown occupation', async () => {
+    const res = await server.request('GET', '/api/occupation/99/videos');
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('GET /api/occupation/:id', () => {
+  it('returns skills, salary, education paths, related occupations and questions', async () => {
+    server.db
+      .when('SELECT * FROM occupation WHERE id = ?', [{ id: 1, name: 'Developer', description: null, salary_min: 25000, salary_max: 80000 }])
+      .when('FROM occupation_skills os', [{ id: 3, name: 'SQL', description: null, level: 'intermediate' }])
+      .when('FROM education_paths', [{ id: 2, kind: 'degree', title: 'Computer Science', description: null }])
+      .when('FROM occupation_relations r', [{ id: 3, name: 'Data Analyst', description: null }])
+      .when('SELECT id, question_text FROM question', [{ id: 7, question_text: 'Do you like coding?' }]);
+
+    const res = await server.request('GET', '/api/occupation/1');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data, {
+      id: 1,
+      name: 'Developer',
+      description: null,
+      salary: { min: 25000, max: 80000, currency: 'THB', period: 'month' },
+      skills: [{ id: 3, name: 'SQL', description: null, level: 'intermediate' }],
+      educationPaths: [{ id: 2, kind: 'degree', title: 'Computer Science', description: null }],
+      related: [{ id: 3, name: 'Data Analyst', description: null }],
+      questions: [{ id: 7, question_text: 'Do you like coding?' }],
+    });
+    assert.deepEqual(server.db.calls('FROM occupation_relations r')[0].params, [1, 1, 1]);
+  });
+
+  it('returns a null salary when none is set', async () => {
+    server.db.when('SELECT * FROM occupation WHERE id = ?', [{ id: 1, name: 'Developer', salary_min: null, salary_max: null }]);
+
+    const res = await server.request('GET', '/api/occupation/1');
+    assert.equal(res.body.data.salary, null);
+  });
+
+  it('returns 404 for an unknown occupation', async () => {
+    const res = await server.request('GET', '/api/occupation/99');
+    assert.equal(res.status, 404);
+  });
+});
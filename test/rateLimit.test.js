@@ -0,0 +1,105 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer } = require('./helpers/testServer.js');
+const { parseConfig, matchesPolicy } = require('../rateLimit/policies.js');
+const { createMysqlStore } = require('../rateLimit/mysqlStore.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+const policy = (overrides = {}) => ({
+  name: 'test',
+  paths: ['/api/**'],
+  windowMs: 1000,
+  max: 1,
+  keyBy: 'ip',
+  ...overrides,
+});
+
+describe('rate limit config', () => {
+  it('matches policies by method and path pattern', () => {
+    const { policies } = parseConfig({
+      policies: [policy({ methods: ['post'], paths: ['/api/threads/*/reactions'] })],
+    });
+
+    assert.equal(matchesPolicy(policies[0], { method: 'POST', path: '/api/threads/5/reactions' }), true);
+    assert.equal(matchesPolicy(policies[0], { method: 'GET', path: '/api/threads/5/reactions' }), false);
+    assert.equal(matchesPolicy(policies[0], { method: 'POST', path: '/api/threads/5/6/reactions' }), false);
+  });
+
+  it('rejects invalid policies', () => {
+    assert.throws(() => parseConfig({ policies: [policy({ keyBy: 'cookie' })] }), /keyBy must be one of/);
+    assert.throws(() => parseConfig({ policies: [policy({ max: -1 })] }), /max must be/);
+    assert.throws(() => parseConfig({ policies: [policy(), policy()] }), /used more than once/);
+    assert.throws(() => parseConfig({ store: 'redis', policies: [] }), /Invalid rate limit store/);
+  });
+});
+
+describe('rate limit policies', () => {
+  it('limits login attempts per email', async () => {
+    const login = (email) => server.request('POST', '/api/login', { body: { email, password: 'secret123' } });
+
+    for (let i = 0; i < 5; i += 1) {
+      assert.equal((await login('victim@example.com')).status, 401);
+    }
+
+    const res = await login('Victim@Example.com');
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error.code, 'TOO_MANY_REQUESTS');
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+
+    assert.equal((await login('someone@example.com')).status, 401);
+  });
+
+  it('limits forum posting per authenticated user', async () => {
+    const alice = server.loginAs({ id: 1 });
+    const bob = server.loginAs({ id: 2 });
+    const edit = (token) => server.request('PUT', '/api/threads/1', { token, body: { title: 'Updated title' } });
+
+    for (let i = 0; i < 30; i += 1) {
+      assert.notEqual((await edit(alice)).status, 429);
+    }
+
+    assert.equal((await edit(alice)).status, 429);
+    assert.notEqual((await edit(bob)).status, 429);
+  });
+
+  it('does not count requests outside the policy paths', async () => {
+    const res = await server.request('GET', '/healthz');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('ratelimit'), null);
+  });
+});
+
+describe('createMysqlStore', () => {
+  it('counts hits per prefixed key and restarts the window once it expires', async () => {
+    const rows = new Map();
+    let time = 1000;
+    const query = async (sql, params) => {
+      if (sql.includes('INSERT INTO rate_limits')) {
+        const [key, resetAt, now] = params;
+        const row = rows.get(key);
+        rows.set(key, !row || row.reset_at <= now ? { hits: 1, reset_at: resetAt } : { ...row, hits: row.hits + 1 });
+        return [{}];
+      }
+      if (sql.includes('SELECT hits, reset_at')) {
+        return [rows.has(params[0]) ? [rows.get(params[0])] : []];
+      }
+      return [{}];
+    };
+
+    const store = createMysqlStore({ prefix: 'login-email', query, now: () => time });
+    store.init({ windowMs: 500 });
+
+    assert.deepEqual(await store.increment('email:a@example.com'), { totalHits: 1, resetTime: new Date(1500) });
+    assert.equal((await store.increment('email:a@example.com')).totalHits, 2);
+    assert.ok(rows.has('login-email:email:a@example.com'));
+
+    time = 1600;
+    assert.deepEqual(await store.increment('email:a@example.com'), { totalHits: 1, resetTime: new Date(2100) });
+  });
+});
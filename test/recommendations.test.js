@@ -0,0 +1,79 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer } = require('./helpers/testServer.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+const recommendations = (token, query = '') => server.request('GET', `/api/recommendations${query}`, { token });
+
+describe('GET /api/recommendations', () => {
+  it('requires authentication', async () => {
+    assert.equal((await recommendations()).status, 401);
+  });
+
+  it('ranks videos and threads by the latest quiz scores', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db
+      .when('FROM quiz_attempts', [{
+        id: 8,
+        created_at: '2024-01-01T00:00:00.000Z',
+        scores: JSON.stringify([{ occupation_id: 2, score: 90 }, { occupation_id: 1, score: 40 }]),
+      }])
+      .when('FROM videospath v', [
+        { id: 1, video_title: 'Web', view_count: 100, occupation_ids: '1', position_seconds: null },
+        { id: 2, video_title: 'Network', view_count: 0, occupation_ids: '2', position_seconds: null },
+        { id: 3, video_title: 'Other', view_count: 50, occupation_ids: null, position_seconds: null },
+      ])
+      .when('FROM threads t', [
+        { id: 10, title: 'Web jobs', occupation_id: 1, view_count: 0 },
+        { id: 11, title: 'Network jobs', occupation_id: 2, view_count: 0 },
+      ]);
+
+    const res = await recommendations(token);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.basedOn.attemptId, 8);
+    assert.deepEqual(res.body.data.videos.map((video) => video.id), [2, 1, 3]);
+    assert.deepEqual(res.body.data.videos[0].reasons, ['quiz']);
+    assert.equal(res.body.data.videos[0].occupation_id, 2);
+    assert.deepEqual(res.body.data.videos[2].reasons, ['popular']);
+    assert.deepEqual(res.body.data.threads.map((thread) => thread.id), [11, 10]);
+  });
+
+  it('boosts occupations from watch history and videos left unfinished', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db
+      .when('JOIN occupation_videos ov ON ov.video_id = p.video_id', [{ occupation_id: 1, watched: 3 }])
+      .when('FROM videospath v', [
+        { id: 1, video_title: 'Watched topic', view_count: 0, occupation_ids: '1', position_seconds: null },
+        { id: 2, video_title: 'Half watched', view_count: 0, occupation_ids: null, position_seconds: 120 },
+        { id: 3, video_title: 'Popular', view_count: 10, occupation_ids: null, position_seconds: null },
+      ]);
+
+    const res = await recommendations(token);
+
+    assert.equal(res.body.data.basedOn.watchHistory, true);
+    assert.deepEqual(res.body.data.videos.map((video) => [video.id, video.reasons]), [
+      [1, ['history']],
+      [2, ['continue']],
+      [3, ['popular']],
+    ]);
+    assert.deepEqual(server.db.calls('FROM videospath v')[0].params, [1]);
+  });
+
+  it('limits the number of results', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('FROM videospath v', [1, 2, 3].map((id) => ({ id, view_count: id, occupation_ids: null, position_seconds: null })));
+
+    const res = await recommendations(token, '?limit=2');
+    assert.deepEqual(res.body.data.videos.map((video) => video.id), [3, 2]);
+
+    const invalid = await recommendations(token, '?limit=0');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.code, 'INVALID_QUERY');
+  });
+});
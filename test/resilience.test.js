@@ -0,0 +1,118 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer } = require('./helpers/testServer.js');
+const { dbError } = require('./helpers/fakeDatabase.js');
+const { createCircuitBreaker } = require('../database/circuitBreaker.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('createCircuitBreaker', () => {
+  it('opens after consecutive failures and closes once the probe succeeds', async () => {
+    let probes = 0;
+    const events = [];
+    const breaker = createCircuitBreaker({
+      failureThreshold: 2,
+      minDelay: 10,
+      // ล้มเหลวครั้งแรก สำเร็จครั้งที่สอง
+      probe: async () => {
+        probes += 1;
+        if (probes === 1) throw new Error('down');
+      },
+      onOpen: () => events.push('open'),
+      onProbeFailed: (error, delay) => events.push(`retry in ${delay}`),
+      onClose: () => events.push('close'),
+    });
+
+    breaker.recordFailure(new Error('down'));
+    assert.equal(breaker.isOpen(), false);
+    breaker.recordFailure(new Error('down'));
+    assert.equal(breaker.isOpen(), true);
+
+    for (let i = 0; i < 50 && breaker.isOpen(); i += 1) {
+      await wait(10);
+    }
+
+    assert.equal(breaker.state, 'closed');
+    assert.deepEqual(events, ['open', 'retry in 20', 'close']);
+    breaker.stop();
+  });
+
+  it('resets the failure count after a success', () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2, probe: async () => {} });
+
+    breaker.recordFailure(new Error('down'));
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('down'));
+
+    assert.equal(breaker.isOpen(), false);
+  });
+
+  it('reports how long to wait before retrying while open', () => {
+    const breaker = createCircuitBreaker({ minDelay: 5000, probe: async () => {} });
+
+    assert.equal(breaker.retryAfterSeconds(), 1);
+    breaker.trip(new Error('down'));
+    assert.equal(breaker.retryAfterSeconds(), 5);
+    breaker.stop();
+  });
+});
+
+describe('database outage', () => {
+  it('answers 503 with Retry-After instead of a 500', async () => {
+    server.db.when('SELECT * FROM occupation', () => { throw dbError('ECONNREFUSED'); });
+
+    const res = await server.request('GET', '/api/occupation');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.error.code, 'DATABASE_UNAVAILABLE');
+    assert.ok(Number(res.headers.get('retry-after')) >= 1);
+  });
+
+  it('does not send a statement again after the connection drops', async () => {
+    server.db.when('SELECT * FROM occupation', () => { throw dbError('ECONNRESET'); });
+
+    const res = await server.request('GET', '/api/occupation');
+
+    assert.equal(res.status, 503);
+    assert.equal(server.db.calls('SELECT * FROM occupation').length, 1);
+  });
+
+  it('keeps SQL errors as 500s without tripping the breaker', async () => {
+    server.db.when('SELECT * FROM occupation', () => { throw dbError('ER_NO_SUCH_TABLE'); });
+
+    for (let i = 0; i < 4; i += 1) {
+      assert.equal((await server.request('GET', '/api/occupation')).status, 500);
+    }
+    assert.equal(server.db.calls('SELECT * FROM occupation').length, 4);
+  });
+
+  it('stops querying while the circuit is open and resumes when the database is back', async () => {
+    let down = true;
+    server.db.when(/^SELECT (\* FROM occupation|1)$/, (params, sql) => {
+      if (down) throw dbError('ECONNREFUSED');
+      return sql === 'SELECT 1' ? [{ 1: 1 }] : [{ id: 1, name: 'Developer' }];
+    });
+
+    for (let i = 0; i < 3; i += 1) {
+      await server.request('GET', '/api/occupation');
+    }
+    const attempts = server.db.queries.length;
+
+    const rejected = await server.request('GET', '/api/occupation');
+    assert.equal(rejected.status, 503);
+    assert.equal(server.db.queries.length, attempts);
+
+    down = false;
+    await wait(1200);
+
+    const res = await server.request('GET', '/api/occupation');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data[0].name, 'Developer');
+  });
+});
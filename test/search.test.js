@@ -0,0 +1,72 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer } = require('./helpers/testServer.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+describe('GET /api/search', () => {
+  it('groups ranked results by type with highlighted snippets', async () => {
+    server.db.when('FROM occupation', [
+      { id: 2, title: 'Network Engineer', body: 'Designs <b>network</b> systems', relevance: 1.5 },
+    ]);
+    server.db.when('FROM threads', [
+      { id: 7, title: 'อยากเป็น network engineer', body: 'ต้องเรียนอะไรบ้าง', relevance: '0.75' },
+    ]);
+
+    const res = await server.request('GET', `/api/search?q=${encodeURIComponent('network')}`);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(Object.keys(res.body.data.results), ['occupations', 'videos', 'threads', 'questions']);
+    assert.deepEqual(res.body.data.results.occupations[0], {
+      id: 2,
+      title: 'Network Engineer',
+      titleHighlight: '<mark>Network</mark> Engineer',
+      snippet: 'Designs &lt;b&gt;<mark>network</mark>&lt;/b&gt; systems',
+      relevance: 1.5,
+    });
+    assert.equal(res.body.data.results.threads[0].relevance, 0.75);
+    assert.deepEqual(res.body.data.results.videos, []);
+    assert.match(server.db.queries[0].sql, /MATCH\(name, description\) AGAINST \(\? IN NATURAL LANGUAGE MODE\)/);
+  });
+
+  it('highlights Thai keywords and trims long text', async () => {
+    const body = `${'ก'.repeat(100)}วิศวกรเครือข่าย${'ข'.repeat(100)}`;
+    server.db.when('FROM videospath', [{ id: 1, title: 'วิดีโอ', body, relevance: 1 }]);
+
+    const res = await server.request('GET', `/api/search?q=${encodeURIComponent('เครือข่าย')}&types=videos`);
+
+    const { snippet } = res.body.data.results.videos[0];
+    assert.ok(snippet.startsWith('…'));
+    assert.ok(snippet.endsWith('…'));
+    assert.ok(snippet.includes('วิศวกร<mark>เครือข่าย</mark>'));
+    assert.deepEqual(Object.keys(res.body.data.results), ['videos']);
+  });
+
+  it('rejects a missing or too short keyword', async () => {
+    assert.equal((await server.request('GET', '/api/search')).status, 400);
+    assert.equal((await server.request('GET', '/api/search?q=a')).status, 400);
+  });
+
+  it('searches quiz questions by their text', async () => {
+    server.db.when('FROM question', [{ id: 4, title: 'ชอบแก้ปัญหาเครือข่ายไหม', body: null, relevance: 1 }]);
+
+    const res = await server.request('GET', `/api/search?q=${encodeURIComponent('เครือข่าย')}&types=questions`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.results.questions[0].titleHighlight, 'ชอบแก้ปัญหา<mark>เครือข่าย</mark>ไหม');
+    assert.equal(res.body.data.results.questions[0].snippet, '');
+    assert.match(server.db.queries[0].sql, /MATCH\(question_text\) AGAINST/);
+  });
+
+  it('rejects unknown types', async () => {
+    for (const types of ['users', 'constructor', '__proto__']) {
+      const res = await server.request('GET', `/api/search?q=dev&types=${types}`);
+      assert.equal(res.status, 400, types);
+    }
+    assert.equal(server.db.queries.length, 0);
+  });
+});
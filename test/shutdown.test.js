@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+process.env.LOG_LEVEL = 'silent';
+process.env.LOG_DIR = '';
+const { gracefulShutdown, isShuttingDown, closeConnectionOnShutdown } = require('../lifecycle/shutdown.js');
+
+describe('gracefulShutdown', () => {
+  it('finishes in-flight requests, refuses new connections and then cleans up', async () => {
+    const app = express();
+    app.use(closeConnectionOnShutdown);
+    app.get('/slow', (req, res) => setTimeout(() => res.json({ done: true }), 100));
+
+    const server = await new Promise((resolve) => {
+      const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    const url = `http://127.0.0.1:${server.address().port}/slow`;
+
+    const inFlight = fetch(url);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    let cleanedUp = false;
+    const shutdown = gracefulShutdown(server, { timeoutMs: 2000, cleanup: async () => { cleanedUp = true; } });
+    assert.equal(isShuttingDown(), true);
+
+    const res = await inFlight;
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { done: true });
+
+    await assert.rejects(fetch(url));
+    await shutdown;
+    assert.equal(cleanedUp, true);
+    assert.equal(server.listening, false);
+  });
+});
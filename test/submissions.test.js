@@ -0,0 +1,86 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer } = require('./helpers/testServer.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+describe('form submissions', () => {
+  it('returns today / yesterday / all-time counts', async () => {
+    server.db.when(/= CURDATE\(\)$/, [{ count: 3 }]);
+    server.db.when('CURDATE() - INTERVAL 1 DAY', [{ count: 2 }]);
+    server.db.when(/^SELECT COUNT\(\*\) AS count FROM form_submissions$/, [{ count: 10 }]);
+
+    const res = await server.request('GET', '/api/form-submission-counts');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.today, 3);
+    assert.equal(res.body.data.yesterday, 2);
+    assert.equal(res.body.data.allTime, 10);
+  });
+
+  it('records a submission', async () => {
+    const res = await server.request('POST', '/api/form-submissions', { body: { submitted_at: '2024-01-01 10:00:00' } });
+    assert.equal(res.status, 201);
+    assert.equal(server.db.calls('INSERT INTO form_submissions').length, 1);
+  });
+
+  it('rejects a submission without submitted_at', async () => {
+    const res = await server.request('POST', '/api/form-submissions', { body: {} });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('POST /api/quiz/submit', () => {
+  beforeEach(() => {
+    server.db.when('FROM question WHERE id IN', [
+      { id: 1, question_type: 1, question_text: 'I enjoy coding' },
+      { id: 2, question_type: 2, question_text: 'I like fixing networks' },
+    ]);
+    server.db.when('SELECT id, name, description FROM occupation', [
+      { id: 1, name: 'Developer', description: '' },
+      { id: 2, name: 'Network Engineer', description: '' },
+    ]);
+  });
+
+  it('ranks occupations and stores the attempt', async () => {
+    const res = await server.request('POST', '/api/quiz/submit', {
+      body: { answers: [{ question_id: 1, value: 5 }, { question_id: 2, value: 2 }] },
+    });
+
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.data.results.map((result) => [result.occupation_id, result.score]), [[1, 100], [2, 40]]);
+    assert.equal(res.body.data.results[0].reasons[0].question, 'I enjoy coding');
+    assert.match(server.db.calls('INSERT INTO form_submissions')[0].sql, /NOW\(\)/);
+    const [attempt] = server.db.calls('INSERT INTO quiz_attempts');
+    assert.equal(attempt.params[1], null);
+    assert.equal(attempt.params[2], 1);
+  });
+
+  it('links the attempt to the logged in user', async () => {
+    const token = server.loginAs({ id: 8 });
+
+    await server.request('POST', '/api/quiz/submit', {
+      token,
+      body: { answers: [{ question_id: 1, value: 5 }, { question_id: 2, value: 2 }] },
+    });
+
+    assert.equal(server.db.calls('INSERT INTO quiz_attempts')[0].params[1], 8);
+  });
+
+  it('rejects answers out of range with 400', async () => {
+    const res = await server.request('POST', '/api/quiz/submit', { body: { answers: [{ question_id: 1, value: 9 }] } });
+    assert.equal(res.status, 400);
+  });
+
+  it('rejects unknown questions with 400', async () => {
+    const res = await server.request('POST', '/api/quiz/submit', {
+      body: { answers: [{ question_id: 1, value: 5 }, { question_id: 2, value: 2 }, { question_id: 3, value: 1 }] },
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.error.details.map((detail) => detail.question_id), [3]);
+  });
+});
@@ -0,0 +1,426 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer } = require('./helpers/testServer.js');
+const { dbError } = require('./helpers/fakeDatabase.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+describe('threads', () => {
+  it('lists threads newest first in a paginated envelope', async () => {
+    server.db.when(/^SELECT \* FROM \( SELECT t\.\*/, [{ id: 2, title: 'Hello' }]);
+    server.db.when('SELECT COUNT(*) AS total', [{ total: 1 }]);
+
+    const res = await server.request('GET', '/api/threads');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      success: true,
+      data: {
+        items: [{ id: 2, title: 'Hello', author: null, accepted_answer: null }],
+        nextCursor: null,
+        total: 1,
+      },
+      error: null,
+    });
+    assert.match(server.db.queries[0].sql, /WHERE list\.is_hidden = 0 ORDER BY list\.created_at DESC, list\.id DESC LIMIT \?$/);
+    assert.deepEqual(server.db.queries[0].params, [21]);
+  });
+
+  it('returns a cursor that continues after the last item', async () => {
+    const createdAt = new Date('2024-05-01T10:00:00Z');
+    server.db.when(/^SELECT \* FROM \( SELECT t\.\*/, (params) => params.length === 1
+      ? [{ id: 5, view_count: 9, created_at: createdAt }, { id: 4, view_count: 3, created_at: createdAt }]
+      : [{ id: 3, view_count: 1, created_at: createdAt }]);
+    server.db.when('SELECT COUNT(*) AS total', [{ total: 3 }]);
+
+    const first = await server.request('GET', '/api/threads?limit=1&sort=most_viewed');
+
+    assert.equal(first.body.data.items.length, 1);
+    assert.ok(first.body.data.nextCursor);
+    assert.equal(first.body.data.total, 3);
+
+    await server.request('GET', `/api/threads?limit=1&sort=most_viewed&cursor=${first.body.data.nextCursor}`);
+
+    const [, , second] = server.db.queries;
+    assert.match(second.sql, /list\.view_count < \? OR \(list\.view_count = \? AND list\.id < \?\)/);
+    assert.deepEqual(second.params, [9, 9, 5, 2]);
+  });
+
+  it('searches by keyword', async () => {
+    server.db.when('SELECT COUNT(*) AS total', [{ total: 0 }]);
+
+    await server.request('GET', `/api/threads?q=${encodeURIComponent('100%_งาน')}&sort=most_commented`);
+
+    assert.match(server.db.queries[0].sql, /list\.title LIKE \? OR list\.content LIKE \?/);
+    assert.match(server.db.queries[0].sql, /ORDER BY list\.comment_count DESC/);
+    assert.equal(server.db.queries[0].params[0], '%100\\%\\_งาน%');
+  });
+
+  it('rejects an unknown sort or bad cursor with 400', async () => {
+    assert.equal((await server.request('GET', '/api/threads?sort=random')).status, 400);
+    for (const sort of ['constructor', '__proto__', 'toString']) {
+      const res = await server.request('GET', `/api/threads?sort=${sort}`);
+      assert.equal(res.status, 400, sort);
+      assert.equal(res.body.error.code, 'INVALID_QUERY', sort);
+    }
+    assert.equal((await server.request('GET', '/api/threads?cursor=nope')).status, 400);
+    assert.equal((await server.request('GET', '/api/threads?limit=1000')).status, 400);
+  });
+
+  it('rejects a tampered cursor whose value is not a scalar', async () => {
+    const tampered = [{ v: [1, 2], id: 1 }, { v: { a: 1 }, id: 1 }, { id: 1 }, { d: { a: 1 }, id: 1 }, { d: 'soon', id: 1 }];
+    for (const payload of tampered) {
+      const cursor = Buffer.from(JSON.stringify(payload)).toString('base64url');
+      const res = await server.request('GET', `/api/threads?cursor=${cursor}`);
+      assert.equal(res.status, 400, JSON.stringify(payload));
+      assert.equal(res.body.error.code, 'INVALID_QUERY');
+    }
+    assert.equal(server.db.queries.length, 0);
+  });
+
+  it('counts a view when opening a thread', async () => {
+    server.db.when('WHERE list.id = ?', [{ id: 2, title: 'Hello', view_count: 1 }]);
+
+    const res = await server.request('GET', '/api/threads/2');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.id, 2);
+    assert.equal(res.body.data.view_count, 2);
+    assert.equal(server.db.calls('SET view_count = view_count + 1').length, 1);
+  });
+
+  it('includes reaction counts and the accepted answer', async () => {
+    server.db.when('WHERE list.id = ?', [{
+      id: 2,
+      comment_count: 4,
+      reaction_count: 7,
+      user_id: 3,
+      author_fname: 'Somchai',
+      author_avatar: null,
+      accepted_comment_id: 9,
+      accepted_user_id: 4,
+      accepted_user_name: null,
+      accepted_author_fname: 'Ann',
+      accepted_author_avatar: '/uploads/ann.jpg',
+      accepted_comment: 'Learn networking basics first',
+      accepted_created_at: '2024-01-01',
+    }]);
+
+    const res = await server.request('GET', '/api/threads/2');
+
+    assert.equal(res.body.data.comment_count, 4);
+    assert.equal(res.body.data.reaction_count, 7);
+    assert.deepEqual(res.body.data.author, { id: 3, fname: 'Somchai', avatar: null });
+    assert.deepEqual(res.body.data.accepted_answer, {
+      id: 9,
+      author: { id: 4, fname: 'Ann', avatar: '/uploads/ann.jpg' },
+      comment: 'Learn networking basics first',
+      created_at: '2024-01-01',
+    });
+    assert.equal(res.body.data.accepted_comment, undefined);
+    assert.equal(res.body.data.author_fname, undefined);
+  });
+
+  it('lets the author accept an answer from the thread', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT id, user_id FROM threads', [{ id: 4, user_id: 1 }]);
+    server.db.when('SELECT id FROM comments WHERE id = ? AND thread_id = ?', [{ id: 9 }]);
+
+    const res = await server.request('PUT', '/api/threads/4/accepted-answer', { token, body: { comment_id: 9 } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('SET accepted_comment_id')[0].params, [9, 4]);
+  });
+
+  it('rejects accepting a comment from another thread', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT id, user_id FROM threads', [{ id: 4, user_id: 1 }]);
+
+    const res = await server.request('PUT', '/api/threads/4/accepted-answer', { token, body: { comment_id: 9 } });
+    assert.equal(res.status, 400);
+  });
+
+  it("forbids accepting an answer on someone else's thread", async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT id, user_id FROM threads', [{ id: 4, user_id: 2 }]);
+
+    const res = await server.request('PUT', '/api/threads/4/accepted-answer', { token, body: { comment_id: 9 } });
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 404 for a missing thread', async () => {
+    const res = await server.request('GET', '/api/threads/99');
+    assert.equal(res.status, 404);
+    assert.equal(server.db.calls('view_count = view_count + 1').length, 0);
+  });
+
+  it('rejects a non-numeric thread id with 400', async () => {
+    const res = await server.request('GET', '/api/threads/abc');
+
+    assert.equal(res.status, 400);
+    assert.equal(server.db.queries.length, 0);
+  });
+
+  it('requires authentication to post', async () => {
+    const res = await server.request('POST', '/api/threads_post', { body: { title: 'a', content: 'b' } });
+    assert.equal(res.status, 401);
+  });
+
+  it('creates a thread', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('INSERT INTO threads', { insertId: 4, affectedRows: 1 });
+
+    const res = await server.request('POST', '/api/threads_post', { token, body: { title: 'Need advice', content: 'b' } });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.threadId, 4);
+    assert.deepEqual(server.db.calls('INSERT INTO threads')[0].params, ['Need advice', 'b', 1, null]);
+  });
+
+  it('tags a thread with an occupation and filters by it', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('INSERT INTO threads', () => { throw dbError('ER_NO_REFERENCED_ROW_2'); });
+
+    const unknown = await server.request('POST', '/api/threads_post', { token, body: { title: 'Jobs', content: 'b', occupation_id: 99 } });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error.code, 'UNKNOWN_OCCUPATION');
+
+    await server.request('GET', '/api/threads?occupation_id=2');
+    assert.deepEqual(server.db.calls('list.occupation_id = ?')[0].params.slice(0, 1), [2]);
+    assert.equal((await server.request('GET', '/api/threads?occupation_id=abc')).status, 400);
+  });
+
+  it('lets the author edit and delete their thread', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT id, user_id FROM threads', [{ id: 4, user_id: 1 }]);
+
+    assert.equal((await server.request('PUT', '/api/threads/4', { token, body: { title: 'new' } })).status, 200);
+    assert.deepEqual(server.db.calls('UPDATE threads SET title')[0].params, ['new', null, 4]);
+
+    assert.equal((await server.request('DELETE', '/api/threads/4', { token })).status, 200);
+    assert.equal(server.db.calls('DELETE FROM threads').length, 1);
+    assert.deepEqual(server.db.calls('INSERT INTO moderation_log').map((call) => call.params[1]), ['edit', 'author_delete']);
+  });
+
+  it("forbids editing someone else's thread", async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT id, user_id FROM threads', [{ id: 4, user_id: 2 }]);
+
+    const res = await server.request('PUT', '/api/threads/4', { token, body: { title: 'new' } });
+    assert.equal(res.status, 403);
+  });
+
+  it('rejects a thread without title or content', async () => {
+    const token = server.loginAs({ id: 1 });
+    const res = await server.request('POST', '/api/threads_post', { token, body: { title: 'a' } });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('comments', () => {
+  // กระทู้ 2 มีอยู่และไม่ถูกซ่อน
+  beforeEach(() => {
+    server.db.when('SELECT id FROM threads WHERE id = ? AND is_hidden = 0', (params) => (String(params[0]) === '2' ? [{ id: 2 }] : []));
+  });
+
+  it('lists top-level comments of a thread with nested replies', async () => {
+    server.db.when('list.parent_id IS NULL', [{ id: 1, comment: 'Nice', parent_id: null }]);
+    server.db.when('WITH RECURSIVE reply_tree', [
+      { id: 2, comment: 'Thanks', parent_id: 1 },
+      { id: 3, comment: 'Agreed', parent_id: 2 },
+    ]);
+    server.db.when('SELECT COUNT(*) AS total', [{ total: 1 }]);
+
+    const res = await server.request('GET', '/api/comments/2?sort=oldest');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.total, 1);
+    assert.equal(res.body.data.items.length, 1);
+    assert.equal(res.body.data.items[0].replies[0].id, 2);
+    assert.equal(res.body.data.items[0].replies[0].replies[0].id, 3);
+    const [roots] = server.db.calls('list.parent_id IS NULL');
+    assert.match(roots.sql, /ORDER BY list\.created_at ASC/);
+    assert.deepEqual(roots.params, [2, 21]);
+    assert.deepEqual(server.db.calls('WITH RECURSIVE reply_tree')[0].params, [[1]]);
+  });
+
+  it('sorts comments by reactions', async () => {
+    server.db.when('SELECT COUNT(*) AS total', [{ total: 0 }]);
+
+    await server.request('GET', '/api/comments/2?sort=top');
+
+    assert.match(server.db.calls('list.parent_id IS NULL')[0].sql, /ORDER BY list\.reaction_count DESC/);
+    assert.equal(server.db.calls('WITH RECURSIVE reply_tree').length, 0);
+  });
+
+  it('returns 404 for the comments of a missing or hidden thread', async () => {
+    const res = await server.request('GET', '/api/comments/9');
+
+    assert.equal(res.status, 404);
+    assert.equal(server.db.calls('FROM comments').length, 0);
+  });
+
+  it('creates a reply in the same thread', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT id, thread_id FROM comments', [{ id: 5, thread_id: 2 }]);
+
+    const res = await server.request('POST', '/api/comments', {
+      token,
+      body: { thread_id: 2, comment: 'b', parent_id: 5 },
+    });
+
+    assert.equal(res.status, 201);
+    assert.deepEqual(server.db.calls('INSERT INTO comments')[0].params, [2, 'b', 1, 5]);
+  });
+
+  it('rejects a reply to a comment in another thread', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT id, thread_id FROM comments', [{ id: 5, thread_id: 9 }]);
+
+    const res = await server.request('POST', '/api/comments', {
+      token,
+      body: { thread_id: 2, comment: 'b', parent_id: 5 },
+    });
+
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 404 when commenting on a missing or hidden thread', async () => {
+    const token = server.loginAs({ id: 1 });
+
+    const res = await server.request('POST', '/api/comments', { token, body: { thread_id: 9, comment: 'b' } });
+
+    assert.equal(res.status, 404);
+    assert.equal(server.db.calls('INSERT INTO comments').length, 0);
+  });
+
+  it('returns 404 when replying to a hidden comment', async () => {
+    const token = server.loginAs({ id: 1 });
+
+    const res = await server.request('POST', '/api/comments', { token, body: { thread_id: 2, comment: 'b', parent_id: 5 } });
+
+    assert.equal(res.status, 404);
+    assert.match(server.db.calls('SELECT id, thread_id FROM comments')[0].sql, /is_hidden = 0/);
+  });
+
+  it('returns 404 when the thread is deleted before the comment is saved', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('INSERT INTO comments', () => { throw dbError('ER_NO_REFERENCED_ROW_2'); });
+
+    const res = await server.request('POST', '/api/comments', { token, body: { thread_id: 2, comment: 'b' } });
+    assert.equal(res.status, 404);
+  });
+
+  it('requires authentication to comment', async () => {
+    const res = await server.request('POST', '/api/comments', { body: { thread_id: 2, comment: 'b' } });
+    assert.equal(res.status, 401);
+  });
+
+  it('creates a comment as the logged in user, ignoring a client user_name', async () => {
+    const token = server.loginAs({ id: 1 });
+
+    const res = await server.request('POST', '/api/comments', {
+      token,
+      body: { thread_id: 2, user_name: 'someone else', comment: 'b' },
+    });
+
+    assert.equal(res.status, 201);
+    assert.deepEqual(server.db.calls('INSERT INTO comments')[0].params, [2, 'b', 1, null]);
+  });
+
+  it('embeds the author profile, falling back to legacy names', async () => {
+    server.db.when('list.parent_id IS NULL', [
+      { id: 1, user_id: 3, user_name: null, author_fname: 'Ann', author_avatar: null, parent_id: null },
+      { id: 2, user_id: null, user_name: 'old name', author_fname: null, author_avatar: null, parent_id: null },
+    ]);
+    server.db.when('SELECT COUNT(*) AS total', [{ total: 2 }]);
+
+    const res = await server.request('GET', '/api/comments/2');
+
+    assert.deepEqual(res.body.data.items.map((comment) => comment.author), [
+      { id: 3, fname: 'Ann', avatar: null },
+      { id: null, fname: 'old name', avatar: null },
+    ]);
+    assert.equal(res.body.data.items[0].user_name, undefined);
+  });
+
+  describe('with ALLOW_ANONYMOUS_POSTS=true', () => {
+    before(() => { process.env.ALLOW_ANONYMOUS_POSTS = 'true'; });
+    after(() => { delete process.env.ALLOW_ANONYMOUS_POSTS; });
+
+    it('accepts an anonymous comment without an author', async () => {
+      const res = await server.request('POST', '/api/comments', { body: { thread_id: 2, comment: 'b' } });
+
+      assert.equal(res.status, 201);
+      assert.deepEqual(server.db.calls('INSERT INTO comments')[0].params, [2, 'b', null, null]);
+    });
+
+    it('still attributes posts from logged in users', async () => {
+      const token = server.loginAs({ id: 6 });
+
+      await server.request('POST', '/api/threads_post', { token, body: { title: 'Need advice', content: 'b' } });
+
+      assert.deepEqual(server.db.calls('INSERT INTO threads')[0].params, ['Need advice', 'b', 6, null]);
+    });
+  });
+
+  it('lets the author edit their comment', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT id, user_id FROM comments', [{ id: 3, user_id: 1 }]);
+
+    const res = await server.request('PUT', '/api/comments/3', { token, body: { comment: 'edited' } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('UPDATE comments SET comment')[0].params, ['edited', 3]);
+    assert.deepEqual(server.db.calls('INSERT INTO moderation_log')[0].params.slice(0, 4), [1, 'edit', 'comment', 3]);
+  });
+
+  it("forbids deleting someone else's comment", async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT id, user_id FROM comments', [{ id: 3, user_id: 2 }]);
+
+    const res = await server.request('DELETE', '/api/comments/3', { token });
+
+    assert.equal(res.status, 403);
+    assert.equal(server.db.calls('DELETE FROM comments').length, 0);
+  });
+});
+
+describe('reactions', () => {
+  it('adds a reaction once and returns the counts', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT id FROM threads WHERE id = ?', [{ id: 4 }]);
+    server.db.when('GROUP BY reaction', [{ reaction: 'upvote', count: 3 }]);
+
+    const res = await server.request('POST', '/api/threads/4/reactions', { token, body: { reaction: 'upvote' } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.reactions, { like: 0, upvote: 3 });
+    assert.deepEqual(server.db.calls('INSERT IGNORE INTO reactions')[0].params, [1, 'thread', 4, 'upvote']);
+  });
+
+  it('rejects unknown reactions', async () => {
+    const token = server.loginAs({ id: 1 });
+    const res = await server.request('POST', '/api/comments/4/reactions', { token, body: { reaction: 'angry' } });
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 404 when reacting to a missing comment', async () => {
+    const token = server.loginAs({ id: 1 });
+    const res = await server.request('POST', '/api/comments/4/reactions', { token, body: {} });
+    assert.equal(res.status, 404);
+  });
+
+  it('removes a reaction', async () => {
+    const token = server.loginAs({ id: 1 });
+
+    const res = await server.request('DELETE', '/api/comments/4/reactions/like', { token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('DELETE FROM reactions')[0].params, [1, 'comment', 4, 'like']);
+  });
+});
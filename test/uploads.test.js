@@ -0,0 +1,152 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createTestServer } = require('./helpers/testServer.js');
+const { createLocalStorage } = require('../storage/localStorage.js');
+const { getStorage, setStorage } = require('../storage/storage.js');
+
+const server = createTestServer();
+const defaultStorage = getStorage();
+let dir;
+
+before(() => server.start());
+after(async () => {
+  setStorage(defaultStorage);
+  fs.rmSync(dir, { recursive: true, force: true });
+  await server.stop();
+});
+beforeEach(() => {
+  server.reset();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+  setStorage(createLocalStorage({ dir }));
+});
+
+const png = (width = 800, height = 600) =>
+  sharp({ create: { width, height, channels: 3, background: '#336699' } }).png().toBuffer();
+
+// ส่งไฟล์แบบ multipart/form-data (fetch ตั้ง Content-Type และ boundary ให้เอง)
+function upload(route, { token, file, field = 'image', method = 'POST' }) {
+  const form = new FormData();
+  if (file) form.append(field, new Blob([file]), 'upload.png');
+  return server.request(method, route, { token, rawBody: form });
+}
+
+describe('POST /api/videos/:id/thumbnail', () => {
+  it('resizes the image into standard sizes and serves them with long cache headers', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    server.db.when('SELECT id, image_variants FROM videospath', [{ id: 4, image_variants: null }]);
+
+    const res = await upload('/api/videos/4/thumbnail', { token, file: await png() });
+
+    assert.equal(res.status, 200);
+    const { variants } = res.body.data;
+    assert.deepEqual(Object.keys(variants), ['small', 'medium', 'large']);
+    assert.equal(res.body.data.image, variants.medium.url);
+    assert.match(variants.medium.url, /^\/uploads\/videos\/4\/[0-9a-f]{16}-medium\.webp$/);
+
+    const [update] = server.db.calls('UPDATE videospath SET image = ?');
+    assert.equal(update.params[0], variants.medium.url);
+    assert.equal(update.params[2], 4);
+    assert.deepEqual(JSON.parse(update.params[1]), variants);
+
+    const metadata = await sharp(path.join(dir, variants.small.key)).metadata();
+    assert.deepEqual([metadata.format, metadata.width, metadata.height], ['webp', 320, 180]);
+
+    const served = await server.request('GET', variants.large.url);
+    assert.equal(served.status, 200);
+    assert.equal(served.headers.get('content-type'), 'image/webp');
+    assert.match(served.headers.get('cache-control'), /max-age=31536000, immutable/);
+  });
+
+  it('is only available to admins', async () => {
+    const token = server.loginAs({ id: 1 });
+    const res = await upload('/api/videos/4/thumbnail', { token, file: await png() });
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 404 for a missing video without storing files', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+
+    const res = await upload('/api/videos/99/thumbnail', { token, file: await png() });
+
+    assert.equal(res.status, 404);
+    assert.deepEqual(fs.readdirSync(dir), []);
+  });
+
+  it('rejects missing, unsupported and oversized files', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+
+    const missing = await upload('/api/videos/4/thumbnail', { token });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error.code, 'FILE_REQUIRED');
+
+    const text = await upload('/api/videos/4/thumbnail', { token, file: Buffer.from('not an image') });
+    assert.equal(text.status, 415);
+    assert.equal(text.body.error.code, 'UNSUPPORTED_FILE_TYPE');
+
+    const wrongField = await upload('/api/videos/4/thumbnail', { token, file: await png(), field: 'photo' });
+    assert.equal(wrongField.status, 400);
+    assert.equal(wrongField.body.error.code, 'INVALID_UPLOAD');
+
+    const large = await upload('/api/videos/4/thumbnail', { token, file: Buffer.alloc(5 * 1024 * 1024 + 1) });
+    assert.equal(large.status, 413);
+    assert.equal(large.body.error.code, 'FILE_TOO_LARGE');
+  });
+});
+
+describe('user avatars', () => {
+  it('replaces the avatar and removes the previous files', async () => {
+    const token = server.loginAs({ id: 2 });
+    fs.mkdirSync(path.join(dir, 'avatars/2'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'avatars/2/old-small.webp'), 'old');
+    server.db.when('SELECT id, avatar_variants FROM users', [{
+      id: 2,
+      avatar_variants: JSON.stringify({ small: { key: 'avatars/2/old-small.webp', url: '/uploads/avatars/2/old-small.webp' } }),
+    }]);
+
+    const res = await upload('/api/users/2/avatar', { token, file: await png(300, 500) });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.variants.large.width, 256);
+    assert.deepEqual(server.db.calls('UPDATE users SET avatar = ?')[0].params.slice(-1), [2]);
+    assert.equal(fs.existsSync(path.join(dir, 'avatars/2/old-small.webp')), false);
+    assert.equal(fs.readdirSync(path.join(dir, 'avatars/2')).length, 3);
+  });
+
+  it("forbids changing someone else's avatar", async () => {
+    const token = server.loginAs({ id: 2 });
+    const res = await upload('/api/users/3/avatar', { token, file: await png() });
+    assert.equal(res.status, 403);
+  });
+
+  it('removes the avatar', async () => {
+    const token = server.loginAs({ id: 2 });
+    fs.mkdirSync(path.join(dir, 'avatars/2'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'avatars/2/a-small.webp'), 'old');
+    server.db.when('SELECT id, avatar_variants FROM users', [{
+      id: 2,
+      avatar_variants: { small: { key: 'avatars/2/a-small.webp', url: '/uploads/avatars/2/a-small.webp' } },
+    }]);
+
+    const res = await server.request('DELETE', '/api/users/2/avatar', { token });
+
+    assert.equal(res.status, 200);
+    assert.equal(server.db.calls('SET avatar = NULL, avatar_variants = NULL').length, 1);
+    assert.equal(fs.existsSync(path.join(dir, 'avatars/2/a-small.webp')), false);
+  });
+});
+
+describe('createLocalStorage', () => {
+  it('refuses keys outside its directory', async () => {
+    await assert.rejects(createLocalStorage({ dir }).put('../escape.txt', Buffer.from('x')), /Invalid storage key/);
+  });
+
+  it('returns 404 for a missing upload', async () => {
+    const res = await server.request('GET', '/uploads/nothing.webp');
+    assert.equal(res.status, 404);
+  });
+});
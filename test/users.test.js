@@ -0,0 +1,268 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const { createTestServer } = require('./helpers/testServer.js');
+const { hashToken } = require('../auth/token.js');
+const { setLineVerifier } = require('../auth/lineVerifier.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+describe('POST /api/register', () => {
+  it('creates a user with a hashed password', async () => {
+    server.db.when('INSERT INTO users', { insertId: 7, affectedRows: 1 });
+
+    const res = await server.request('POST', '/api/register', {
+      body: { email: 'a@example.com', password: 'secret123', fname: 'Ann', lname: 'Lee' },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.userId, 7);
+    const [insert] = server.db.calls('INSERT INTO users');
+    assert.notEqual(insert.params[1], 'secret123');
+    assert.ok(await bcrypt.compare('secret123', insert.params[1]));
+  });
+
+  it('rejects missing fields with 400', async () => {
+    const res = await server.request('POST', '/api/register', { body: { email: 'a@example.com' } });
+    assert.equal(res.status, 400);
+    assert.equal(server.db.queries.length, 0);
+  });
+
+  it('rejects a duplicate email with 409', async () => {
+    server.db.when('SELECT * FROM users WHERE email = ?', [{ id: 1, email: 'a@example.com' }]);
+
+    const res = await server.request('POST', '/api/register', {
+      body: { email: 'a@example.com', password: 'secret123', fname: 'Ann', lname: 'Lee' },
+    });
+
+    assert.equal(res.status, 409);
+    assert.equal(server.db.calls('INSERT INTO users').length, 0);
+  });
+});
+
+describe('POST /api/login', () => {
+  it('returns the user and tokens for valid credentials', async () => {
+    const password = await bcrypt.hash('secret123', 4);
+    server.db.when('SELECT * FROM users WHERE email = ?', [{ id: 1, email: 'a@example.com', password }]);
+
+    const res = await server.request('POST', '/api/login', {
+      body: { email: 'a@example.com', password: 'secret123' },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.id, 1);
+    assert.equal(res.body.data.user.password, undefined);
+    assert.ok(res.body.data.accessToken);
+    assert.ok(res.body.data.refreshToken);
+    const [insert] = server.db.calls('INSERT INTO refresh_tokens');
+    assert.equal(insert.params[1], hashToken(res.body.data.refreshToken));
+  });
+
+  it('rejects a wrong password with 401', async () => {
+    const password = await bcrypt.hash('secret123', 4);
+    server.db.when('SELECT * FROM users WHERE email = ?', [{ id: 1, email: 'a@example.com', password }]);
+
+    const res = await server.request('POST', '/api/login', {
+      body: { email: 'a@example.com', password: 'wrong' },
+    });
+
+    assert.equal(res.status, 401);
+  });
+
+  it('rejects an unknown email with 401', async () => {
+    const res = await server.request('POST', '/api/login', {
+      body: { email: 'nobody@example.com', password: 'secret123' },
+    });
+    assert.equal(res.status, 401);
+  });
+
+  it('rejects missing fields with 400', async () => {
+    const res = await server.request('POST', '/api/login', { body: {} });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('token refresh and logout', () => {
+  it('rotates a valid refresh token', async () => {
+    server.db.when('FROM refresh_tokens WHERE token_hash = ?', [{ id: 3, user_id: 1 }]);
+    server.db.when('SELECT * FROM users WHERE id = ?', [{ id: 1, email: 'a@example.com' }]);
+
+    const res = await server.request('POST', '/api/token/refresh', { body: { refreshToken: 'old' } });
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.accessToken);
+    assert.deepEqual(server.db.calls('UPDATE refresh_tokens SET revoked_at')[0].params, [3]);
+  });
+
+  it('redeems a refresh token only once when it is reused concurrently', async () => {
+    let revoked = false;
+    server.db
+      .when('FROM refresh_tokens WHERE token_hash = ?', [{ id: 3, user_id: 1 }])
+      .when('SELECT * FROM users WHERE id = ?', [{ id: 1, email: 'a@example.com' }])
+      .when('UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', () => {
+        const affectedRows = revoked ? 0 : 1;
+        revoked = true;
+        return { affectedRows };
+      });
+
+    const responses = await Promise.all([
+      server.request('POST', '/api/token/refresh', { body: { refreshToken: 'old' } }),
+      server.request('POST', '/api/token/refresh', { body: { refreshToken: 'old' } }),
+    ]);
+
+    assert.deepEqual(responses.map((res) => res.status).sort(), [200, 401]);
+    assert.equal(server.db.calls('INSERT INTO refresh_tokens').length, 1);
+  });
+
+  it('rejects an unknown refresh token with 401', async () => {
+    const res = await server.request('POST', '/api/token/refresh', { body: { refreshToken: 'nope' } });
+    assert.equal(res.status, 401);
+  });
+
+  it('revokes the access token on logout', async () => {
+    const token = server.loginAs({ id: 1 });
+
+    const res = await server.request('POST', '/api/logout', { token, body: { refreshToken: 'abc' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(server.db.calls('INSERT IGNORE INTO revoked_tokens').length, 1);
+    assert.deepEqual(server.db.calls('UPDATE refresh_tokens')[0].params, [1, hashToken('abc')]);
+  });
+
+  it('rejects a revoked access token', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('FROM revoked_tokens', (params) => [{ jti: params[0] }]);
+
+    const res = await server.request('GET', '/api/users/1', { token });
+    assert.equal(res.status, 401);
+  });
+});
+
+describe('GET /api/users/:id', () => {
+  it('requires authentication', async () => {
+    const res = await server.request('GET', '/api/users/1');
+    assert.equal(res.status, 401);
+  });
+
+  it('returns the current user without the password', async () => {
+    const token = server.loginAs({ id: 1, password: 'hash' });
+
+    const res = await server.request('GET', '/api/users/1', { token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.id, 1);
+    assert.equal(res.body.data.password, undefined);
+  });
+
+  it("forbids reading another user's profile", async () => {
+    const token = server.loginAs({ id: 1 });
+    const res = await server.request('GET', '/api/users/2', { token });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe('quiz results history', () => {
+  it('lists past attempts with top occupations', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('FROM quiz_attempts WHERE user_id = ?', [
+      { id: 9, top_occupation_id: 2, created_at: '2024-01-01', scores: JSON.stringify([{ occupation_id: 2, score: 80 }]) },
+    ]);
+    server.db.when('SELECT id, name FROM occupation', [{ id: 2, name: 'Network Engineer' }]);
+
+    const res = await server.request('GET', '/api/users/1/results', { token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data[0].topOccupations, [{ occupation_id: 2, score: 80, name: 'Network Engineer' }]);
+  });
+
+  it("lets counselors follow a student's results", async () => {
+    const token = server.loginAs({ id: 5, role: 'counselor' });
+
+    const res = await server.request('GET', '/api/users/1/results', { token });
+
+    assert.equal(res.status, 200);
+    assert.equal(server.db.calls('FROM quiz_attempts WHERE user_id = ?')[0].params[0], '1');
+  });
+
+  it("forbids counselors from reading a student's profile", async () => {
+    const token = server.loginAs({ id: 5, role: 'counselor' });
+    const res = await server.request('GET', '/api/users/1', { token });
+    assert.equal(res.status, 403);
+  });
+
+  it("forbids students from reading another student's results", async () => {
+    const token = server.loginAs({ id: 2 });
+    const res = await server.request('GET', '/api/users/1/results', { token });
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 404 for an unknown attempt', async () => {
+    const token = server.loginAs({ id: 1 });
+    const res = await server.request('GET', '/api/users/1/results/99', { token });
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('GET /api/users/:id/activity', () => {
+  it("lists a user's public profile, threads and comments", async () => {
+    server.db.when('SELECT id, fname, avatar FROM users', [{ id: 3, fname: 'Ann', avatar: null }]);
+    server.db.when('FROM threads WHERE user_id = ?', [{ id: 1, title: 'Hello', comment_count: 2 }]);
+    server.db.when('FROM comments c JOIN threads t', [{ id: 4, thread_id: 1, thread_title: 'Hello' }]);
+
+    const res = await server.request('GET', '/api/users/3/activity?limit=5');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.user, { id: 3, fname: 'Ann', avatar: null });
+    assert.equal(res.body.data.threads.length, 1);
+    assert.equal(res.body.data.comments[0].thread_title, 'Hello');
+    assert.deepEqual(server.db.calls('FROM threads WHERE user_id = ?')[0].params, [3, 5]);
+  });
+
+  it('returns 404 for an unknown user', async () => {
+    const res = await server.request('GET', '/api/users/3/activity');
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('POST /api/auth/line', () => {
+  before(() => setLineVerifier(async (idToken) =>
+    idToken === 'valid' ? { sub: 'U123', name: 'Somchai', email: null } : null
+  ));
+
+  it('creates a user for a new LINE account', async () => {
+    server.db.when('INSERT INTO users', { insertId: 5, affectedRows: 1 });
+    server.db.when('SELECT * FROM users WHERE id = ?', [{ id: 5, line_user_id: 'U123' }]);
+
+    const res = await server.request('POST', '/api/auth/line', { body: { idToken: 'valid' } });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.user.id, 5);
+    assert.ok(res.body.data.accessToken);
+  });
+
+  it('logs in an already linked account', async () => {
+    server.db.when('SELECT * FROM users WHERE line_user_id = ?', [{ id: 4, line_user_id: 'U123' }]);
+
+    const res = await server.request('POST', '/api/auth/line', { body: { idToken: 'valid' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(server.db.calls('INSERT INTO users').length, 0);
+  });
+
+  it('rejects an invalid ID token with 401', async () => {
+    const res = await server.request('POST', '/api/auth/line', { body: { idToken: 'bad' } });
+    assert.equal(res.status, 401);
+  });
+
+  it('refuses to link a LINE account owned by another user', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT id FROM users WHERE line_user_id = ?', [{ id: 2 }]);
+
+    const res = await server.request('POST', '/api/auth/line/link', { token, body: { idToken: 'valid' } });
+    assert.equal(res.status, 409);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer } = require('./helpers/testServer.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+describe('request validation', () => {
+  it('reports each invalid field in Thai by default', async () => {
+    const res = await server.request('POST', '/api/register', {
+      body: { email: 'not-an-email', password: 'short', fname: 'Ann' },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+    assert.equal(res.body.error.message, 'ข้อมูลไม่ถูกต้อง');
+    assert.deepEqual(res.body.error.details.map((detail) => detail.field), ['email', 'password', 'lname']);
+    assert.equal(res.body.error.details[1].location, 'body');
+    assert.equal(res.body.error.details[1].message, 'รหัสผ่านต้องมีอย่างน้อย 8 ตัวอักษร');
+    assert.equal(server.db.queries.length, 0);
+  });
+
+  it('rejects a password without digits', async () => {
+    const res = await server.request('POST', '/api/register', {
+      body: { email: 'a@example.com', password: 'onlyletters', fname: 'Ann', lname: 'Lee' },
+      headers: { 'Accept-Language': 'en-US,en;q=0.9' },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.message, 'Validation failed');
+    assert.equal(res.body.error.details[0].message, 'Password must contain both letters and numbers');
+  });
+
+  it('limits passwords to the 72 bytes bcrypt uses, not 72 characters', async () => {
+    const register = (password) => server.request('POST', '/api/register', {
+      body: { email: 'a@example.com', password, fname: 'Ann', lname: 'Lee' },
+      headers: { 'Accept-Language': 'en' },
+    });
+
+    // 30 ตัวอักษรแต่ 86 byte
+    const tooLong = await register(`a1${'ก'.repeat(28)}`);
+    assert.equal(tooLong.status, 400);
+    assert.equal(tooLong.body.error.details[0].field, 'password');
+    assert.equal(tooLong.body.error.details[0].message, 'Password must be at most 72 bytes (Thai characters count as 3 bytes)');
+
+    // 25 ตัวอักษร 71 byte
+    assert.equal((await register(`a1${'ก'.repeat(23)}`)).status, 201);
+  });
+
+  it('rejects a non-numeric id in the URL', async () => {
+    const token = server.loginAs({ id: 1 });
+    const res = await server.request('DELETE', '/api/threads/abc', { token });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.error.details.map(({ field, location }) => ({ field, location })), [{ field: 'id', location: 'params' }]);
+  });
+
+  it('rejects a comment that is too long', async () => {
+    const token = server.loginAs({ id: 1 });
+    const res = await server.request('POST', '/api/comments', { token, body: { thread_id: 2, comment: 'x'.repeat(5001) } });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.details[0].field, 'comment');
+  });
+
+  it('rejects a video whose path is not an http(s) URL', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    const res = await server.request('POST', '/api/admin/videos', {
+      token,
+      body: { video_title: 'Intro', video_path: 'javascript:alert(1)', description: 'd', image: 'https://example.com/a.png' },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.details[0].field, 'video_path');
+  });
+
+  it('rejects quiz answers outside the score range', async () => {
+    const res = await server.request('POST', '/api/quiz/submit', {
+      body: { answers: [{ question_id: 1, value: 9 }] },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.details[0].field, 'answers[0].value');
+  });
+
+  it('rejects a form submission dated in the future', async () => {
+    const submitted_at = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const res = await server.request('POST', '/api/form-submissions', { body: { submitted_at } });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.details[0].field, 'submitted_at');
+  });
+});
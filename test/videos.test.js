@@ -0,0 +1,201 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer } = require('./helpers/testServer.js');
+const { dbError } = require('./helpers/fakeDatabase.js');
+
+const server = createTestServer();
+
+before(() => server.start());
+after(() => server.stop());
+beforeEach(() => server.reset());
+
+const video = {
+  video_title: 'Day in the life of a developer',
+  video_path: 'https://example.com/video.mp4',
+  description: 'What developers do',
+  image: 'https://example.com/thumb.jpg',
+};
+
+describe('GET /api/videospath', () => {
+  it('lists videos', async () => {
+    server.db.when('FROM videospath v LEFT JOIN', [{ id: 1, ...video, play_count: '3', avg_completion: '0.7500' }]);
+    server.db.when('SELECT COUNT(*) AS total', [{ total: 1 }]);
+
+    const res = await server.request('GET', '/api/videospath');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.items[0].video_title, video.video_title);
+    assert.equal(res.body.data.items[0].play_count, 3);
+    assert.equal(res.body.data.items[0].avg_completion, 0.75);
+    assert.equal(res.body.data.total, 1);
+  });
+
+  it('sorts by views and searches titles and descriptions', async () => {
+    server.db.when('SELECT COUNT(*) AS total', [{ total: 0 }]);
+
+    const res = await server.request('GET', '/api/videospath?sort=most_viewed&q=network');
+
+    assert.deepEqual(res.body.data, { items: [], nextCursor: null, total: 0 });
+    assert.match(server.db.queries[0].sql, /list\.video_title LIKE \? OR list\.description LIKE \?/);
+    assert.match(server.db.queries[0].sql, /ORDER BY list\.view_count DESC/);
+  });
+
+  it('sorts by average completion', async () => {
+    server.db.when('SELECT COUNT(*) AS total', [{ total: 0 }]);
+
+    const res = await server.request('GET', '/api/videospath?sort=most_completed');
+
+    assert.equal(res.status, 200);
+    assert.match(server.db.queries[0].sql, /ORDER BY list\.avg_completion DESC/);
+  });
+
+  it('counts a view when opening a video', async () => {
+    server.db.when('SELECT * FROM videospath WHERE id = ?', [{ id: 1, ...video, view_count: 4 }]);
+
+    const res = await server.request('GET', '/api/videospath/1');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.view_count, 5);
+    assert.equal(server.db.calls('UPDATE videospath SET view_count').length, 1);
+  });
+
+  it('returns 404 for a missing video without counting a view', async () => {
+    const res = await server.request('GET', '/api/videospath/99');
+
+    assert.equal(res.status, 404);
+    assert.equal(server.db.calls('UPDATE videospath SET view_count').length, 0);
+  });
+
+  it('rejects a non-numeric id with 400', async () => {
+    const res = await server.request('GET', '/api/videospath/abc');
+
+    assert.equal(res.status, 400);
+    assert.equal(server.db.queries.length, 0);
+  });
+});
+
+describe('POST /api/videospath-post', () => {
+  it('requires authentication', async () => {
+    const res = await server.request('POST', '/api/videospath-post', { body: video });
+    assert.equal(res.status, 401);
+  });
+
+  it('is forbidden for students', async () => {
+    const token = server.loginAs({ id: 1, role: 'student' });
+    const res = await server.request('POST', '/api/videospath-post', { token, body: video });
+    assert.equal(res.status, 403);
+  });
+
+  it('lets admins add a video', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    server.db.when('INSERT INTO videospath', { insertId: 12, affectedRows: 1 });
+
+    const res = await server.request('POST', '/api/videospath-post', { token, body: video });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.videoId, 12);
+    assert.deepEqual(server.db.calls('INSERT INTO videospath')[0].params, [
+      video.video_title, video.video_path, video.description, video.image,
+    ]);
+  });
+
+  it('rejects missing fields with 400', async () => {
+    const token = server.loginAs({ id: 1, role: 'admin' });
+    const res = await server.request('POST', '/api/videospath-post', { token, body: { video_title: 'x' } });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('POST /api/videos/:id/progress', () => {
+  const progressRow = (overrides) => ({
+    video_id: 3,
+    position_seconds: 30,
+    max_position_seconds: 30,
+    duration_seconds: 120,
+    play_count: 1,
+    completed_at: null,
+    last_watched_at: '2024-01-01T00:00:00.000Z',
+    ...overrides,
+  });
+
+  it('requires authentication', async () => {
+    const res = await server.request('POST', '/api/videos/3/progress', { body: { position: 0, duration: 120 } });
+    assert.equal(res.status, 401);
+  });
+
+  it('counts a play when the video starts', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT * FROM video_progress WHERE user_id = ?', [progressRow({ position_seconds: 0, max_position_seconds: 0 })]);
+
+    const res = await server.request('POST', '/api/videos/3/progress', { token, body: { position: 0, duration: 120, event: 'start' } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('INSERT INTO video_progress')[0].params, [1, 3, 0, 0, 120, 1, false]);
+    assert.equal(res.body.data.completion, 0);
+  });
+
+  it('records the position and marks the video completed near the end', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('SELECT * FROM video_progress WHERE user_id = ?', [
+      progressRow({ position_seconds: 110, max_position_seconds: 110, completed_at: '2024-01-01T00:10:00.000Z' }),
+    ]);
+
+    const res = await server.request('POST', '/api/videos/3/progress', { token, body: { position: 110.6, duration: 119.8 } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(server.db.calls('INSERT INTO video_progress')[0].params, [1, 3, 110, 110, 120, 0, true]);
+    assert.equal(res.body.data.completed, true);
+    assert.equal(Math.round(res.body.data.completion * 100), 92);
+  });
+
+  it('returns 404 for an unknown video', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('INSERT INTO video_progress', () => {
+      throw dbError('ER_NO_REFERENCED_ROW_2');
+    });
+
+    const res = await server.request('POST', '/api/videos/99/progress', { token, body: { position: 5, duration: 60 } });
+
+    assert.equal(res.status, 404);
+  });
+
+  it('rejects an invalid position with 400', async () => {
+    const token = server.loginAs({ id: 1 });
+    const res = await server.request('POST', '/api/videos/3/progress', { token, body: { position: -1, duration: 60 } });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('GET /api/users/:id/videos', () => {
+  it('lists videos the user has not finished, most recent first', async () => {
+    const token = server.loginAs({ id: 1 });
+    server.db.when('FROM video_progress p JOIN videospath v', [{
+      id: 3, ...video, user_id: 1, video_id: 3, position_seconds: 30, max_position_seconds: 60,
+      duration_seconds: 120, play_count: 2, completed_at: null, last_watched_at: '2024-01-01T00:00:00.000Z',
+    }]);
+    server.db.when('SELECT COUNT(*) AS total', [{ total: 1 }]);
+
+    const res = await server.request('GET', '/api/users/1/videos', { token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.items[0].video_title, video.video_title);
+    assert.equal(res.body.data.items[0].progress.position_seconds, 30);
+    assert.equal(res.body.data.items[0].progress.completion, 0.5);
+    assert.match(server.db.queries[server.db.queries.length - 2].sql, /list\.completed_at IS NULL.*ORDER BY list\.last_watched_at DESC/);
+    assert.deepEqual(server.db.calls('SELECT COUNT(*) AS total')[0].params, [1]);
+  });
+
+  it('is limited to the user themselves', async () => {
+    const token = server.loginAs({ id: 2 });
+    const res = await server.request('GET', '/api/users/1/videos', { token });
+    assert.equal(res.status, 403);
+  });
+
+  it('rejects an unknown status with 400', async () => {
+    const token = server.loginAs({ id: 1 });
+    for (const status of ['paused', 'constructor', '__proto__']) {
+      const res = await server.request('GET', `/api/users/1/videos?status=${status}`, { token });
+      assert.equal(res.status, 400, status);
+    }
+  });
+});
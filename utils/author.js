@@ -0,0 +1,15 @@
+/**
+ * * โปรไฟล์สาธารณะของผู้เขียนกระทู้/ความคิดเห็น
+ * * ข้อมูลเก่าที่ไม่มี user_id ใช้ชื่อที่บันทึกไว้เดิม โพสต์แบบไม่ระบุตัวตนคืน null
+ */
+function formatAuthor(userId, fname, avatar, legacyName = null) {
+  if (userId !== null && userId !== undefined) {
+    return { id: userId, fname: fname || null, avatar: avatar || null };
+  }
+  if (legacyName) {
+    return { id: null, fname: legacyName, avatar: null };
+  }
+  return null;
+}
+
+module.exports = { formatAuthor };
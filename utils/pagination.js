@@ -0,0 +1,109 @@
+const { msg, BadRequestError } = require('../errors/AppError.js');
+
+// ตัวช่วยแบ่งหน้าแบบ cursor (keyset) สำหรับ endpoint ที่คืนรายการ
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// cursor คือค่าของคอลัมน์ที่ใช้เรียงและ id ของแถวสุดท้ายในหน้าก่อน (Date ถูกเก็บแยกเพื่อแปลงกลับได้)
+function encodeCursor(row, sortKey) {
+  const value = row[sortKey];
+  const payload = value instanceof Date
+    ? { d: value.toISOString(), id: row.id }
+    : { v: value, id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// ค่าที่ส่งเป็นพารามิเตอร์ SQL ได้ตรง ๆ array หรือ object จะถูก mysql2 ขยายเป็น SQL ที่ผิด
+const isScalar = (value) => value === null || typeof value === 'string' || Number.isFinite(value);
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(payload.id)) return null;
+
+    if (payload.d !== undefined) {
+      const date = new Date(payload.d);
+      if (typeof payload.d !== 'string' || Number.isNaN(date.getTime())) return null;
+      return { value: date, id: payload.id };
+    }
+
+    if (!isScalar(payload.v)) return null;
+    return { value: payload.v, id: payload.id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// escape อักขระพิเศษของ LIKE แล้วครอบด้วย %
+function likePattern(keyword) {
+  return `%${keyword.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+}
+
+/**
+ * * อ่าน limit, sort, cursor และ q จาก query string
+ * * sorts คือ { ชื่อ: { key, direction } } โดย key คือคอลัมน์ในผลลัพธ์ที่ใช้เรียง
+ * * โยน BadRequestError ถ้าพารามิเตอร์ไม่ถูกต้อง
+ */
+function parseListQuery(query, sorts, defaultSort) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new BadRequestError(
+      msg(`limit ต้องเป็นจำนวนเต็มระหว่าง 1 ถึง ${MAX_LIMIT}`, `limit must be an integer between 1 and ${MAX_LIMIT}`),
+      'INVALID_QUERY'
+    );
+  }
+
+  const sortName = query.sort || defaultSort;
+  // ตรวจเฉพาะ key ของ sorts เอง ไม่ให้ sort=constructor หรือ __proto__ ผ่านไปได้
+  if (!Object.hasOwn(sorts, sortName)) {
+    const names = Object.keys(sorts).join(', ');
+    throw new BadRequestError(msg(`sort ต้องเป็นหนึ่งใน: ${names}`, `sort must be one of: ${names}`), 'INVALID_QUERY');
+  }
+
+  const sort = sorts[sortName];
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      throw new BadRequestError(msg('cursor ไม่ถูกต้อง', 'Invalid cursor'), 'INVALID_QUERY');
+    }
+  }
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+
+  return { limit, sortName, sort, cursor, q };
+}
+
+/**
+ * * รัน SELECT แบบแบ่งหน้า
+ * * from คือ SQL ของชุดข้อมูล (ตารางหรือ subquery ที่มีชื่อ alias เป็น list) ส่วน where/params คือเงื่อนไขกรอง
+ * * คืน { items, nextCursor, total }
+ */
+async function paginate(executeQuery, { from, where = [], params = [], list }) {
+  const { limit, sort, cursor } = list;
+  const comparator = sort.direction === 'ASC' ? '>' : '<';
+  const filter = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  if (cursor) {
+    pageWhere.push(`(list.${sort.key} ${comparator} ? OR (list.${sort.key} = ? AND list.id ${comparator} ?))`);
+    pageParams.push(cursor.value, cursor.value, cursor.id);
+  }
+
+  const [rows] = await executeQuery(
+    `SELECT * FROM ${from} ${pageWhere.length ? `WHERE ${pageWhere.join(' AND ')}` : ''}
+     ORDER BY list.${sort.key} ${sort.direction}, list.id ${sort.direction}
+     LIMIT ?`,
+    [...pageParams, limit + 1]
+  );
+  const [countRows] = await executeQuery(`SELECT COUNT(*) AS total FROM ${from} ${filter}`, params);
+
+  const items = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(items[items.length - 1], sort.key) : null;
+
+  return { items, nextCursor, total: Number(countRows[0].total) };
+}
+
+module.exports = { parseListQuery, paginate, likePattern, encodeCursor };
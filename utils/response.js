@@ -0,0 +1,13 @@
+// รูปแบบ response เดียวกันทั้ง API: { success, data, error }
+function sendSuccess(res, data = null, status = 200) {
+  res.status(status).json({ success: true, data, error: null });
+}
+
+// Express 4 ไม่จับ promise ที่ reject ให้ ส่ง error ต่อไปที่ errorHandler เอง
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+module.exports = { sendSuccess, asyncHandler };
@@ -0,0 +1,42 @@
+// ตัวช่วยเรื่อง timezone แบบ IANA (เช่น Asia/Bangkok) โดยใช้ Intl ของ Node ไม่ต้องพึ่งตาราง timezone ของ MySQL
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// offset (นาที) จาก UTC ของ timeZone ณ เวลา date เช่น Asia/Bangkok คือ 420
+function timeZoneOffset(timeZone, date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(date).map((part) => [part.type, Number(part.value)])
+  );
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((localAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// 420 -> '+07:00' รูปแบบที่ CONVERT_TZ ของ MySQL รับได้โดยไม่ต้องโหลดตาราง timezone
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// วันที่ปัจจุบันของ timeZone รูปแบบ YYYY-MM-DD
+function todayIn(timeZone, now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+}
+
+module.exports = { isValidTimeZone, timeZoneOffset, formatOffset, todayIn };
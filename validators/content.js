@@ -0,0 +1,158 @@
+const { msg, idParam } = require('./validate.js');
+
+const text = (th, en, max, optional = false) => ({
+  ...(optional ? { optional: { options: { values: 'null' } } } : {}),
+  isString: true,
+  trim: true,
+  isLength: { options: { min: optional ? 0 : 1, max } },
+  errorMessage: optional
+    ? msg(`${th}ต้องยาวไม่เกิน ${max} ตัวอักษร`, `${en} must be at most ${max} characters`)
+    : msg(`${th}ต้องมีความยาว 1 - ${max} ตัวอักษร`, `${en} must be 1 - ${max} characters`),
+});
+
+const url = (field) => ({
+  isURL: { options: { protocols: ['http', 'https'], require_protocol: true } },
+  errorMessage: msg(`${field} ต้องเป็น URL ที่ขึ้นต้นด้วย http หรือ https`, `${field} must be an http(s) URL`),
+});
+
+const positiveInt = (field) => ({
+  isInt: { options: { min: 1 } },
+  toInt: true,
+  errorMessage: msg(`${field} ต้องเป็นตัวเลขจำนวนเต็มบวก`, `${field} must be a positive integer`),
+});
+
+// ทำให้ทุกฟิลด์ไม่บังคับ สำหรับการแก้ไขบางส่วน (PUT /api/admin/*/:id)
+function partial(schema) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([field, rules]) => [field, { optional: true, ...rules }])
+  );
+}
+
+const video = {
+  video_title: text('ชื่อวิดีโอ', 'video_title', 255),
+  video_path: url('video_path'),
+  description: text('คำอธิบาย', 'description', 5000),
+  // อัปโหลดรูปภายหลังได้ที่ POST /api/videos/:id/thumbnail
+  image: { optional: { options: { values: 'null' } }, ...url('image') },
+};
+
+// เงินเดือน (บาทต่อเดือน) ส่ง null เพื่อลบค่า
+const salary = (field) => ({
+  optional: { options: { values: 'null' } },
+  isInt: { options: { min: 0 } },
+  toInt: true,
+  errorMessage: msg(`${field} ต้องเป็นจำนวนเต็มตั้งแต่ 0 ขึ้นไป`, `${field} must be a non-negative integer`),
+});
+
+const occupation = {
+  name: text('ชื่ออาชีพ', 'name', 255),
+  description: text('คำอธิบาย', 'description', 5000, true),
+  salary_min: salary('salary_min'),
+  salary_max: {
+    ...salary('salary_max'),
+    custom: {
+      // ตรวจได้เฉพาะเมื่อส่งมาทั้งสองค่าในคำขอเดียวกัน
+      options: (value, { req }) => req.body.salary_min === undefined || req.body.salary_min === null || value >= req.body.salary_min,
+      errorMessage: msg('salary_max ต้องไม่น้อยกว่า salary_min', 'salary_max must not be less than salary_min'),
+    },
+  },
+};
+
+const SKILL_LEVELS = ['basic', 'intermediate', 'advanced'];
+const EDUCATION_KINDS = ['degree', 'vocational', 'certificate', 'course'];
+
+const sortOrder = {
+  optional: true,
+  isInt: true,
+  toInt: true,
+  errorMessage: msg('sort_order ต้องเป็นตัวเลขจำนวนเต็ม', 'sort_order must be an integer'),
+};
+
+const skill = {
+  name: text('ชื่อทักษะ', 'name', 100),
+  description: text('คำอธิบาย', 'description', 5000, true),
+};
+
+const educationPath = {
+  occupation_id: positiveInt('occupation_id'),
+  kind: {
+    isIn: { options: [EDUCATION_KINDS] },
+    errorMessage: msg(`kind ต้องเป็นหนึ่งใน: ${EDUCATION_KINDS.join(', ')}`, `kind must be one of: ${EDUCATION_KINDS.join(', ')}`),
+  },
+  title: text('ชื่อเส้นทาง', 'title', 255),
+  description: text('คำอธิบาย', 'description', 5000, true),
+  sort_order: sortOrder,
+};
+
+const question = {
+  question_type: positiveInt('question_type'),
+  question_text: text('คำถาม', 'question_text', 1000),
+};
+
+exports.createVideo = video;
+exports.updateVideo = { ...idParam(), ...partial(video) };
+exports.createOccupation = occupation;
+exports.updateOccupation = { ...idParam(), ...partial(occupation) };
+exports.createSkill = skill;
+exports.updateSkill = { ...idParam(), ...partial(skill) };
+exports.createEducationPath = educationPath;
+exports.updateEducationPath = { ...idParam(), ...partial(educationPath) };
+exports.createQuestion = question;
+exports.updateQuestion = { ...idParam(), ...partial(question) };
+exports.idOnly = idParam();
+
+exports.occupationVideo = {
+  ...idParam(),
+  video_id: positiveInt('video_id'),
+  sort_order: sortOrder,
+};
+
+exports.occupationVideoParams = { ...idParam(), ...idParam('videoId') };
+
+exports.occupationSkill = {
+  ...idParam(),
+  skill_id: positiveInt('skill_id'),
+  level: {
+    optional: true,
+    isIn: { options: [SKILL_LEVELS] },
+    errorMessage: msg(`level ต้องเป็นหนึ่งใน: ${SKILL_LEVELS.join(', ')}`, `level must be one of: ${SKILL_LEVELS.join(', ')}`),
+  },
+  sort_order: sortOrder,
+};
+
+exports.occupationSkillParams = { ...idParam(), ...idParam('skillId') };
+
+exports.relatedOccupation = {
+  ...idParam(),
+  related_id: positiveInt('related_id'),
+};
+
+exports.relatedOccupationParams = { ...idParam(), ...idParam('relatedId') };
+
+// วินาทีจาก player ของ frontend (ทศนิยมได้) position เกินความยาววิดีโอจะถูกปัดลงเป็นความยาววิดีโอ
+exports.videoProgress = {
+  ...idParam(),
+  position: {
+    isFloat: { options: { min: 0 } },
+    toFloat: true,
+    errorMessage: msg('position ต้องเป็นจำนวนวินาทีที่ไม่ติดลบ', 'position must be a non-negative number of seconds'),
+  },
+  duration: {
+    isFloat: { options: { min: 1 } },
+    toFloat: true,
+    errorMessage: msg('duration ต้องเป็นจำนวนวินาทีอย่างน้อย 1', 'duration must be at least 1 second'),
+  },
+  event: {
+    optional: true,
+    isIn: { options: [['start', 'progress']] },
+    errorMessage: msg('event ต้องเป็น start หรือ progress', 'event must be start or progress'),
+  },
+};
+
+exports.userRole = {
+  ...idParam(),
+  role: {
+    isIn: { options: [['student', 'moderator', 'counselor', 'admin']] },
+    errorMessage: msg('role ต้องเป็น student, moderator, counselor หรือ admin', 'role must be student, moderator, counselor or admin'),
+  },
+};
@@ -0,0 +1,104 @@
+const { msg, idParam } = require('./validate.js');
+
+const TITLE_MAX = 255;
+const CONTENT_MAX = 10000;
+const COMMENT_MAX = 5000;
+
+const title = {
+  isString: true,
+  trim: true,
+  isLength: { options: { min: 3, max: TITLE_MAX } },
+  errorMessage: msg(`หัวข้อต้องมีความยาว 3 - ${TITLE_MAX} ตัวอักษร`, `Title must be 3 - ${TITLE_MAX} characters`),
+};
+
+const content = {
+  isString: true,
+  trim: true,
+  isLength: { options: { min: 1, max: CONTENT_MAX } },
+  errorMessage: msg(`เนื้อหาต้องมีความยาว 1 - ${CONTENT_MAX} ตัวอักษร`, `Content must be 1 - ${CONTENT_MAX} characters`),
+};
+
+const comment = {
+  isString: true,
+  trim: true,
+  isLength: { options: { min: 1, max: COMMENT_MAX } },
+  errorMessage: msg(`ความคิดเห็นต้องมีความยาว 1 - ${COMMENT_MAX} ตัวอักษร`, `Comment must be 1 - ${COMMENT_MAX} characters`),
+};
+
+const positiveInt = (field) => ({
+  isInt: { options: { min: 1 } },
+  toInt: true,
+  errorMessage: msg(`${field} ต้องเป็นตัวเลขจำนวนเต็มบวก`, `${field} must be a positive integer`),
+});
+
+exports.createThread = {
+  title,
+  content,
+  occupation_id: { optional: { options: { values: 'null' } }, ...positiveInt('occupation_id') },
+};
+
+exports.updateThread = {
+  ...idParam(),
+  title: { ...title, optional: true },
+  content: { ...content, optional: true },
+  occupation_id: { optional: { options: { values: 'null' } }, ...positiveInt('occupation_id') },
+};
+
+exports.acceptAnswer = {
+  ...idParam(),
+  comment_id: {
+    optional: { options: { values: 'null' } },
+    ...positiveInt('comment_id'),
+  },
+};
+
+exports.threadIdParam = idParam('thread_id');
+
+exports.createComment = {
+  thread_id: positiveInt('thread_id'),
+  comment,
+  parent_id: { optional: { options: { values: 'null' } }, ...positiveInt('parent_id') },
+};
+
+exports.updateComment = { ...idParam(), comment };
+
+exports.reaction = {
+  ...idParam(),
+  reaction: {
+    optional: true,
+    isIn: { options: [['like', 'upvote']] },
+    errorMessage: msg('reaction ต้องเป็น like หรือ upvote', 'reaction must be like or upvote'),
+  },
+};
+
+exports.idOnly = idParam();
+
+exports.report = {
+  content_type: {
+    isIn: { options: [['thread', 'comment']] },
+    errorMessage: msg('content_type ต้องเป็น thread หรือ comment', 'content_type must be thread or comment'),
+  },
+  content_id: positiveInt('content_id'),
+  reason: {
+    isString: true,
+    trim: true,
+    isLength: { options: { min: 3, max: 500 } },
+    errorMessage: msg('เหตุผลต้องมีความยาว 3 - 500 ตัวอักษร', 'Reason must be 3 - 500 characters'),
+  },
+};
+
+exports.moderate = {
+  ...idParam(),
+  type: {
+    in: ['params'],
+    isIn: { options: [['threads', 'comments']] },
+    errorMessage: msg('type ต้องเป็น threads หรือ comments', 'type must be threads or comments'),
+  },
+  report_id: { optional: { options: { values: 'null' } }, ...positiveInt('report_id') },
+  reason: {
+    optional: true,
+    isString: true,
+    isLength: { options: { max: 500 } },
+    errorMessage: msg('เหตุผลต้องยาวไม่เกิน 500 ตัวอักษร', 'Reason must be at most 500 characters'),
+  },
+};
@@ -0,0 +1,34 @@
+const { msg } = require('./validate.js');
+
+// ยอมให้นาฬิกาฝั่ง client เร็วกว่าเซิฟเวอร์ได้เล็กน้อย
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+exports.formSubmission = {
+  submitted_at: {
+    isISO8601: {
+      options: { strict: true },
+      errorMessage: msg('submitted_at ต้องเป็นวันเวลารูปแบบ ISO 8601', 'submitted_at must be an ISO 8601 date'),
+    },
+    custom: {
+      options: (value) => new Date(value).getTime() <= Date.now() + CLOCK_SKEW_MS,
+      errorMessage: msg('submitted_at ต้องไม่เป็นเวลาในอนาคต', 'submitted_at cannot be in the future'),
+    },
+  },
+};
+
+exports.quizSubmission = {
+  answers: {
+    isArray: { options: { min: 1, max: 500 } },
+    errorMessage: msg('answers ต้องเป็นรายการคำตอบอย่างน้อย 1 ข้อ', 'answers must be a non-empty array'),
+  },
+  'answers.*.question_id': {
+    isInt: { options: { min: 1 } },
+    toInt: true,
+    errorMessage: msg('question_id ต้องเป็นตัวเลขจำนวนเต็มบวก', 'question_id must be a positive integer'),
+  },
+  'answers.*.value': {
+    isFloat: { options: { min: 0, max: 5 } },
+    toFloat: true,
+    errorMessage: msg('value ต้องเป็นตัวเลขระหว่าง 0 - 5', 'value must be a number between 0 and 5'),
+  },
+};
@@ -0,0 +1,103 @@
+const { msg } = require('./validate.js');
+
+const email = {
+  trim: true,
+  isEmail: true,
+  isLength: { options: { max: 255 } },
+  errorMessage: msg('รูปแบบอีเมลไม่ถูกต้อง', 'Email is not valid'),
+};
+
+const name = (th, en) => ({
+  isString: true,
+  trim: true,
+  isLength: { options: { min: 1, max: 100 } },
+  errorMessage: msg(`${th}ต้องมีความยาว 1 - 100 ตัวอักษร`, `${en} must be 1 - 100 characters`),
+});
+
+const idToken = {
+  isString: true,
+  notEmpty: true,
+  errorMessage: msg('กรุณาระบุ idToken', 'idToken is required'),
+};
+
+// รหัสผ่านใหม่ (สมัคร ตั้งใหม่ และเปลี่ยนรหัสผ่าน) bcrypt ใช้ได้แค่ 72 byte แรก จึงจำกัดเป็น byte (อักษรไทยใช้ 3 byte)
+const newPassword = {
+  isString: true,
+  isLength: {
+    options: { min: 8 },
+    errorMessage: msg('รหัสผ่านต้องมีอย่างน้อย 8 ตัวอักษร', 'Password must be at least 8 characters'),
+  },
+  isByteLength: {
+    options: { max: 72 },
+    errorMessage: msg('รหัสผ่านยาวเกิน 72 byte (อักษรไทยนับเป็น 3 byte)', 'Password must be at most 72 bytes (Thai characters count as 3 bytes)'),
+  },
+  matches: {
+    options: /^(?=.*[A-Za-z])(?=.*\d)/,
+    errorMessage: msg('รหัสผ่านต้องมีทั้งตัวอักษรและตัวเลข', 'Password must contain both letters and numbers'),
+  },
+  errorMessage: msg('กรุณาระบุรหัสผ่าน', 'Password is required'),
+};
+
+const token = {
+  isString: true,
+  notEmpty: true,
+  errorMessage: msg('กรุณาระบุ token', 'token is required'),
+};
+
+exports.register = {
+  email,
+  password: newPassword,
+  fname: name('ชื่อ', 'First name'),
+  lname: name('นามสกุล', 'Last name'),
+};
+
+exports.login = {
+  email,
+  password: {
+    isString: true,
+    notEmpty: true,
+    errorMessage: msg('กรุณาระบุรหัสผ่าน', 'Password is required'),
+  },
+};
+
+exports.refreshToken = {
+  refreshToken: {
+    isString: true,
+    notEmpty: true,
+    errorMessage: msg('กรุณาระบุ refreshToken', 'refreshToken is required'),
+  },
+};
+
+exports.logout = {
+  refreshToken: {
+    optional: true,
+    isString: true,
+    errorMessage: msg('refreshToken ต้องเป็นข้อความ', 'refreshToken must be a string'),
+  },
+  allDevices: {
+    optional: true,
+    isBoolean: true,
+    toBoolean: true,
+    errorMessage: msg('allDevices ต้องเป็น true หรือ false', 'allDevices must be true or false'),
+  },
+};
+
+exports.lineToken = { idToken };
+
+exports.forgotPassword = { email };
+
+exports.resetPassword = {
+  token,
+  password: newPassword,
+};
+
+exports.changePassword = {
+  currentPassword: {
+    isString: true,
+    notEmpty: true,
+    errorMessage: msg('กรุณาระบุรหัสผ่านปัจจุบัน', 'Current password is required'),
+  },
+  newPassword,
+};
+
+exports.verifyEmail = { token };
@@ -0,0 +1,39 @@
+const { checkSchema, validationResult } = require('express-validator');
+const { msg, ValidationError } = require('../errors/AppError.js');
+
+/**
+ * * สร้าง middleware จาก schema ของ express-validator
+ * * ฟิลด์ที่ไม่ได้ระบุ in จะตรวจจาก body
+ * * ถ้าไม่ผ่าน ส่ง ValidationError (400) พร้อมรายการ error ของแต่ละฟิลด์
+ */
+function validate(schema) {
+  return [
+    checkSchema(schema, ['body']),
+    (req, res, next) => {
+      const result = validationResult(req);
+      if (result.isEmpty()) {
+        return next();
+      }
+
+      next(new ValidationError(result.array({ onlyFirstError: true }).map((error) => ({
+        field: error.path,
+        location: error.location,
+        message: error.msg,
+      }))));
+    },
+  ];
+}
+
+// พารามิเตอร์ :id ใน URL ต้องเป็นจำนวนเต็มบวก
+function idParam(name = 'id') {
+  return {
+    [name]: {
+      in: ['params'],
+      isInt: { options: { min: 1 } },
+      toInt: true,
+      errorMessage: msg(`${name} ต้องเป็นตัวเลขจำนวนเต็มบวก`, `${name} must be a positive integer`),
+    },
+  };
+}
+
+module.exports = { validate, msg, idParam };